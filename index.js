@@ -1,5 +1,18 @@
 'use strict';
 
 const InterspaceServer = require('./lib/server');
+const { FileStore } = require('./lib/persistence');
+const { FileSystemSource, GeneratedSource, TemplateSource } = require('./lib/room-source');
+const { JsonLogStore, MemoryStore } = require('./lib/storage');
+const { types } = require('./lib/rpc-types');
 
-module.exports = InterspaceServer;
\ No newline at end of file
+module.exports = InterspaceServer;
+module.exports.FileStore = FileStore;
+module.exports.JsonLogStore = JsonLogStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileSystemSource = FileSystemSource;
+module.exports.GeneratedSource = GeneratedSource;
+module.exports.TemplateSource = TemplateSource;
+
+// register codecs here to use them in every room
+module.exports.types = types;
\ No newline at end of file
@@ -3,39 +3,70 @@
 var EventEmitter = require('events');
 var _ = require('lodash');
 
+/* The transform fields a client reports in `update` messages */
+const TRANSFORM_FIELDS = [
+    'x', 'y', 'z',
+    'rotationX', 'rotation', 'rotationZ',
+    'vx', 'vy', 'vz'
+];
+
 /**
  * Events:
  *  - leave(): emitted on disconnect
+ *  - update(state): emitted when the state changes
  */
 class MinimalClient extends EventEmitter {
-    constructor(uuid) {
+    /**
+     * @param metadata Optional info the client joined with:
+     *  {displayName, avatar}
+     * @param options Optional {acks}: true if the client acks
+     *  reliable rpcs (see delivery.js)
+     */
+    constructor(uuid, room, metadata, options) {
         super();
 
         this.uuid = uuid;
+        this.room = room;
+        this.acks = !!(options && options.acks);
+        this.metadata = Object.assign({
+            displayName: null,
+            avatar: null
+        }, metadata);
         this.state = {
             x: 0,
             y: 0,
-            z: 0
+            z: 0,
+            rotationX: 0,
+            rotation: 0,
+            rotationZ: 0,
+            vx: 0,
+            vy: 0,
+            vz: 0,
+            updatedAt: Date.now() // ms timestamp of the last change
         };
+
+        // free-form per-client values for room scripts to use
+        this.data = {};
+    }
+
+    /**
+     * Send a message to just this client
+     */
+    send(msgType, data) {
+        this.room.sendTo([this.uuid], msgType, data);
     }
 
     updateState(newState) {
         var current = this.state;
-        newState = _.merge({
-            x: current.x,
-            y: current.y,
-            z: current.z
-        }, newState);
-
-        if (
-            current.x === newState.x &&
-            current.y === newState.y &&
-            current.z === newState.z
-        ) {
+        newState = _.merge(_.pick(current, TRANSFORM_FIELDS), _.pick(newState, TRANSFORM_FIELDS));
+
+        if (TRANSFORM_FIELDS.every(field => current[field] === newState[field])) {
             return;
         }
 
+        newState.updatedAt = Date.now();
         this.state = newState;
+        this.emit('update', newState);
     }
 }
 
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Delivery of server -> client RPC calls over the broadcast stream
+ *
+ * Reliable calls (the default) are numbered per client with `seq`
+ *  and re-sent until the client acknowledges them. Acks are
+ *  cumulative: a client acks the highest `seq` it has received
+ *  everything up to, so it can apply calls in order, exactly once.
+ *
+ * Only clients that joined saying they ack (`acks` in their `join`)
+ *  get this; anyone else is sent each call once, without a `seq`,
+ *  as they'd never ack it.
+ *
+ * If a call still isn't acknowledged after `maxRetries` re-sends, the
+ *  client can't get past it, so its session is reset: everything
+ *  unacknowledged is dropped and the client is sent an `rpc-reset`
+ *  message. The next reliable call it gets is numbered 1 again;
+ *  anything it missed is lost, so it should rejoin to resync.
+ *
+ * Unreliable calls (functions opened with `{unreliable: true}`) are
+ *  sent without a `seq`. Calls to the same function for the same
+ *  clients within a room tick are coalesced; only the last one is
+ *  sent, when the tick ends.
+ *
+ * Calls for everyone may be limited to the clients near an `origin`
+ *  (see `Room.broadcast`); unreliable ones are filtered by where
+ *  the clients are when they're sent.
+ */
+
+const DEFAULTS = {
+    retransmitTimeout: 500, // ms to wait for an ack before re-sending
+    maxRetries: 10 // re-sends before giving up on a call
+};
+
+class RpcDelivery {
+    constructor(room, options) {
+        this.room = room;
+        this.options = Object.assign({}, DEFAULTS, options);
+
+        this._acking = new Set(); // uuids of the clients that ack
+        this._channels = new Map(); // uuid -> {seq, unacked: Map(seq -> entry)}
+        this._coalesced = new Map(); // key -> {uuids, message}
+
+        this._onFlush = () => {
+            this.flush();
+            this._retransmit();
+        };
+        room.on('flush', this._onFlush);
+    }
+
+    /**
+     * Send an rpc message
+     *
+     * @param uuids The clients to send to, or null for everyone
+     * @param message The `rpc` message to send
+     * @param unreliable True if the message may be dropped
+     *  or coalesced
+     * @param options (optional) `{origin, radius}` limiting who
+     *  gets it when sending to everyone
+     */
+    send(uuids, message, unreliable, options) {
+        if (unreliable) {
+            this._sendUnreliable(uuids, message, uuids ? null : options);
+        } else {
+            this._sendReliable(uuids || this.room.recipientsOf(options), message);
+        }
+    }
+
+    /**
+     * Deliver reliable calls to a client reliably, now that
+     *  it's said it acks them
+     */
+    acks(uuid) {
+        this._acking.add(uuid);
+    }
+
+    /**
+     * Handle an acknowledgement of everything up to
+     *  and including `seq` from a client
+     */
+    ack(uuid, seq) {
+        var channel = this._channels.get(uuid);
+        if (!channel) return;
+
+        channel.unacked.forEach((entry, entrySeq) => {
+            if (entrySeq <= seq) channel.unacked.delete(entrySeq);
+        });
+    }
+
+    /**
+     * Drop everything we're holding for a client
+     */
+    forget(uuid) {
+        this._acking.delete(uuid);
+        this._channels.delete(uuid);
+        this._coalesced.forEach((pending, key) => {
+            if (!pending.uuids) return;
+            pending.uuids = pending.uuids.filter(id => id !== uuid);
+            if (!pending.uuids.length) this._coalesced.delete(key);
+        });
+    }
+
+    /**
+     * Send any coalesced calls right away
+     */
+    flush() {
+        var pending = this._coalesced;
+        this._coalesced = new Map();
+        pending.forEach(call => {
+            if (call.uuids) {
+                this.room.sendTo(call.uuids, 'rpc', call.message);
+            } else {
+                this.room.broadcast('rpc', call.message, call.options);
+            }
+        });
+    }
+
+    dispose() {
+        this.room.removeListener('flush', this._onFlush);
+        this._coalesced.clear();
+        this._acking.clear();
+        this._channels.clear();
+    }
+
+    _sendUnreliable(uuids, message, options) {
+        var key = message.fn + ' ' + (uuids ? uuids.slice().sort().join(',') : '*');
+
+        // NOTE: calls from different places (eg: each moving
+        //  object's updates) mustn't replace each other
+        var origin = options && options.origin;
+        if (origin) {
+            key += ` @${origin.x},${origin.y},${origin.z},${options.radius || ''}`;
+        }
+
+        // delete first so the latest call also moves to the back
+        this._coalesced.delete(key);
+        this._coalesced.set(key, {
+            uuids: uuids,
+            message: message,
+            options: options || null
+        });
+    }
+
+    _sendReliable(uuids, message) {
+        // at most once, for those that never ack
+        var plain = uuids.filter(uuid => !this._acking.has(uuid));
+        if (plain.length) this.room.sendTo(plain, 'rpc', message);
+
+        var now = Date.now();
+        uuids.filter(uuid => this._acking.has(uuid)).forEach(uuid => {
+            var channel = this._channels.get(uuid);
+            if (!channel) {
+                channel = {
+                    seq: 0,
+                    unacked: new Map()
+                };
+                this._channels.set(uuid, channel);
+            }
+
+            var seq = ++channel.seq;
+            var entry = {
+                message: Object.assign({ seq: seq }, message),
+                sentAt: now,
+                retries: 0
+            };
+            channel.unacked.set(seq, entry);
+            this.room.sendTo([uuid], 'rpc', entry.message);
+        });
+    }
+
+    /**
+     * Re-send everything that's gone unacknowledged for too long
+     */
+    _retransmit() {
+        var now = Date.now();
+
+        this._channels.forEach((channel, uuid) => {
+            var given = null;
+            channel.unacked.forEach(entry => {
+                if (given || now - entry.sentAt < this.options.retransmitTimeout) return;
+
+                if (entry.retries >= this.options.maxRetries) {
+                    given = entry;
+                    return;
+                }
+
+                entry.retries++;
+                entry.sentAt = now;
+                this.room.sendTo([uuid], 'rpc', entry.message);
+            });
+
+            if (given) this._reset(uuid, given);
+        });
+    }
+
+    /**
+     * Start a client's numbering over, after giving up on `entry`;
+     *  acks are cumulative, so it could never get past the gap
+     */
+    _reset(uuid, entry) {
+        console.warn(`Giving up on rpc ${entry.message.fn} #${entry.message.seq} to ${uuid}; resetting`);
+        this._channels.delete(uuid);
+        this.room.sendTo([uuid], 'rpc-reset', {});
+    }
+}
+
+module.exports = RpcDelivery;
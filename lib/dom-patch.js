@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Batches changes made to a room's document into compact
+ *  `dom-patch` messages for its clients, sent once per room tick
+ *
+ * A patch is `{ops: [...]}`, applied in order, where each op is:
+ *  - ['a', ref, name, value]: set attribute `name` on `ref`
+ *  - ['i', ref, iml]: append the element in `iml` to `ref`
+ *  - ['r', ref, index]: remove the index'th child element of `ref`
+ *  - ['p', ref, index, iml]: replace the index'th child element of `ref`
+ *
+ * A `ref` locates an element as it was when the op was recorded:
+ *  `#id` for elements with an id, otherwise the ref of its parent
+ *  followed by `/n` for its index among the parent's child
+ *  elements. The document root is the empty ref.
+ *
+ * If the room has an `interestRadius`, a batch that only changes
+ *  attributes is split up by element, and changes to positioned
+ *  elements only go to the clients near them (see
+ *  `Room.broadcast`). Batches that add or remove elements always
+ *  go to everyone, so every client's refs stay valid.
+ *
+ * The document is state, not a stream of events, so a client that
+ *  missed changes to an element while out of its range is sent all
+ *  of the element's attributes once it's back in range.
+ */
+
+var cheerio = require('cheerio');
+
+const { worldTransform } = require('./raycast');
+
+function _isElement(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+/**
+ * @return True if the node, or any of its parents, has a position
+ */
+function _isPositioned(node) {
+    for (var current = node; current && current.attribs; current = current.parent) {
+        var attribs = current.attribs;
+        if ('x' in attribs || 'y' in attribs || 'z' in attribs) return true;
+    }
+    return false;
+}
+
+class DomPatchBatcher {
+
+    /**
+     * @param room The Room to broadcast to
+     * @param $ The cheerio instance of the room's document
+     */
+    constructor(room, $) {
+        this.room = room;
+        this._root = $.root()[0];
+        this._ops = [];
+        this._targets = []; // the node each attribute op changes, by op
+        this._structural = false; // true if any op adds or removes elements
+        this._attrOps = {}; // ref + name -> op, for coalescing
+        this._stale = new Map(); // uuid -> Set of nodes changed while out of its range
+
+        this._onFlush = () => this.flush();
+        room.on('flush', this._onFlush);
+    }
+
+    /**
+     * Record a mutation reported by the document hooks
+     */
+    record(mutation) {
+        var target = mutation.target;
+        if (!this._isAttached(target)) return;
+
+        var ref = this._refFor(target);
+        switch (mutation.type) {
+            case 'attr':
+                // only the last value within a batch matters
+                var key = ref + ' ' + mutation.name;
+                var existing = this._attrOps[key];
+                if (existing) {
+                    existing[3] = mutation.value;
+                    return;
+                }
+                this._push(this._attrOps[key] = ['a', ref, mutation.name, mutation.value], target);
+                return;
+
+            case 'append':
+                this._pushStructural(['i', ref, cheerio.xml(mutation.node)]);
+                return;
+
+            case 'remove':
+                this._pushStructural(['r', ref, mutation.index]);
+                return;
+
+            case 'replace':
+                this._pushStructural(['p', ref, mutation.index, cheerio.xml(mutation.node)]);
+                return;
+        }
+    }
+
+    /**
+     * Send everything recorded so far right away
+     */
+    flush() {
+        this._send();
+        this._resync();
+    }
+
+    _send() {
+        if (!this._ops.length) return;
+
+        var ops = this._ops;
+        var targets = this._targets;
+        var structural = this._structural;
+        this._ops = [];
+        this._targets = [];
+        this._structural = false;
+        this._attrOps = {};
+
+        if (structural || !this.room.interestRadius) {
+            this.room.broadcast('dom-patch', { ops: ops });
+            return;
+        }
+
+        var byTarget = new Map(); // node -> ops
+        ops.forEach((op, i) => {
+            var target = _isPositioned(targets[i]) ? targets[i] : null;
+            var targetOps = byTarget.get(target);
+            if (!targetOps) byTarget.set(target, targetOps = []);
+            targetOps.push(op);
+        });
+
+        var room = this.room;
+        byTarget.forEach((targetOps, target) => {
+            if (!target) {
+                room.broadcast('dom-patch', { ops: targetOps });
+                return;
+            }
+
+            var recipients = room.recipientsOf({ origin: worldTransform(target).position });
+            room.sendTo(recipients, 'dom-patch', { ops: targetOps });
+            Object.keys(room.states).forEach(uuid => {
+                if (recipients.indexOf(uuid) !== -1) return;
+
+                var stale = this._stale.get(uuid);
+                if (!stale) this._stale.set(uuid, stale = new Set());
+                stale.add(target);
+            });
+        });
+    }
+
+    /**
+     * Send clients that have come within range of elements they
+     *  missed changes to everything about those elements
+     */
+    _resync() {
+        var room = this.room;
+        var radiusSq = room.interestRadius * room.interestRadius;
+
+        this._stale.forEach((stale, uuid) => {
+            var client = room.states[uuid];
+            if (!client || !room.interestRadius) {
+                this._stale.delete(uuid);
+                return;
+            }
+
+            var ops = [];
+            stale.forEach(node => {
+                if (!this._isAttached(node)) {
+                    stale.delete(node);
+                    return;
+                }
+
+                var position = worldTransform(node).position;
+                var dx = position.x - client.state.x;
+                var dy = position.y - client.state.y;
+                var dz = position.z - client.state.z;
+                if (dx * dx + dy * dy + dz * dz > radiusSq) return;
+
+                var ref = this._refFor(node);
+                Object.keys(node.attribs).forEach(name => {
+                    ops.push(['a', ref, name, node.attribs[name]]);
+                });
+                stale.delete(node);
+            });
+
+            if (!stale.size) this._stale.delete(uuid);
+            if (ops.length) room.sendTo([uuid], 'dom-patch', { ops: ops });
+        });
+    }
+
+    /**
+     * Drop anything not sent yet
+     */
+    dispose() {
+        this.room.removeListener('flush', this._onFlush);
+        this._ops = [];
+        this._targets = [];
+        this._structural = false;
+        this._attrOps = {};
+        this._stale.clear();
+    }
+
+    _pushStructural(op) {
+        // refs recorded before this point may no longer be valid
+        //  after it, so don't coalesce attributes across it
+        this._attrOps = {};
+        this._structural = true;
+        this._push(op, null);
+    }
+
+    _push(op, target) {
+        this._ops.push(op);
+        this._targets.push(target);
+    }
+
+    _isAttached(node) {
+        while (node.parent) {
+            node = node.parent;
+        }
+
+        // NOTE: top-level elements don't link back to the root
+        return node === this._root || this._root.children.indexOf(node) !== -1;
+    }
+
+    _refFor(node) {
+        if (node === this._root) return '';
+
+        var id = node.attribs && node.attribs.id;
+        if (id) return '#' + id;
+
+        var parent = node.parent || this._root;
+        var index = parent.children.filter(_isElement).indexOf(node);
+        return this._refFor(parent) + '/' + index;
+    }
+}
+
+module.exports = DomPatchBatcher;
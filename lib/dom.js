@@ -4,17 +4,48 @@
 
 const EventEmitter = require('events');
 const cheerio = require('cheerio');
-const roomValidator = require('./room-validator');
+const raycast = require('./raycast');
 
 /* WeakMaps to store things that should not be leaked into the VM */
 let DocumentTo$ = new WeakMap();
+let $ToDocument = new WeakMap();
+let DocumentHooks = new WeakMap();
 let ElementToCheerio = new WeakMap();
 
 /**
  * Get the cheerio $ instance for a document
  */
 function getDocument$(document) {
-    return DocumentTo$[document];
+    return DocumentTo$.get(document);
+}
+
+/**
+ * Attach server-side hooks to a document. Supported hooks:
+ *  - mutated(mutation): called after every change to the document
+ *  - save(): called by `document.save()`; should return a Promise
+ *  - holder(id): the client holding the element with the given id
+ *  - impulse(node, vector): called by `rigidbody.impulse(vector)`
+ */
+function setDocumentHooks(document, hooks) {
+    DocumentHooks.set(document, hooks);
+}
+
+/**
+ * Get the hooks of the document owning `$`, if any
+ */
+function _hooksFor($) {
+    var document = $ToDocument.get($);
+    return document && DocumentHooks.get(document);
+}
+
+/**
+ * Let the hooks of the document owning `$` know about a change
+ */
+function _mutated($, mutation) {
+    var hooks = _hooksFor($);
+    if (hooks && hooks.mutated) {
+        hooks.mutated(mutation);
+    }
 }
 
 const NODE_ATTRIBS = {
@@ -32,6 +63,22 @@ function _notImplementedProp(name) {
     return _warnNotImplemented.bind(null, name);
 }
 
+/**
+ * A method passed on to the document hook `hookName`, with the
+ *  element's node and the method's arguments
+ */
+function _hookedProp(hookName, name) {
+    return function($) {
+        var hooks = _hooksFor($);
+        if (!hooks || !hooks[hookName]) {
+            _warnNotImplemented(name);
+            return;
+        }
+        return hooks[hookName].apply(null, Array.from(arguments).slice(1));
+    };
+}
+
+/* Methods are called with the element's $ and node before their own arguments */
 const NODE_PROPDEFS = {
     'audio': {
         play: _notImplementedProp("AudioClip.play"),
@@ -41,7 +88,7 @@ const NODE_PROPDEFS = {
         lookAt: _notImplementedProp("Mesh.lookAt")
     },
     'rigidbody': {
-        impulse: _notImplementedProp("Rigidbody.impulse")
+        impulse: _hookedProp('impulse', "Rigidbody.impulse")
     }
 };
 
@@ -61,6 +108,14 @@ class AudioClip {
     }
 }
 
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Like the document's rotation attributes, angles are in degrees.
+ *  Instance methods that return a Vector3 modify it in place;
+ *  use `clone()` (or the static versions) to keep the original.
+ */
 class Vector3 {
     static get down() { return new Vector3(0, -1, 0); }
     static get left() { return new Vector3(-1, 0, 0); }
@@ -82,6 +137,21 @@ class Vector3 {
             this.z === other.z;
     }
 
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    copy(other) {
+        return this.set(other.x, other.y, other.z);
+    }
+
+    clone() {
+        return new Vector3(this.x, this.y, this.z);
+    }
+
     add(other) {
         this.x += other.x;
         this.y += other.y;
@@ -126,6 +196,67 @@ class Vector3 {
         return Math.sqrt(dx * dx + dy * dy + dz * dz);
     }
 
+    lengthSq() {
+        return this.dot(this);
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    /**
+     * Scale to a length of 1; the zero vector stays as it is
+     */
+    normalize() {
+        var length = this.length();
+        return length ? this.scale(1 / length) : this;
+    }
+
+    negate() {
+        return this.scale(-1);
+    }
+
+    /**
+     * Move `t` of the way (0 to 1) towards `other`
+     */
+    lerp(other, t) {
+        this.x += (other.x - this.x) * t;
+        this.y += (other.y - this.y) * t;
+        this.z += (other.z - this.z) * t;
+        return this;
+    }
+
+    /**
+     * @return The angle between this and `other`, in degrees
+     */
+    angleTo(other) {
+        var lengths = Math.sqrt(this.lengthSq() * other.lengthSq());
+        if (!lengths) return 0;
+
+        var cos = Math.max(-1, Math.min(1, this.dot(other) / lengths));
+        return Math.acos(cos) * RAD_TO_DEG;
+    }
+
+    /**
+     * Keep the smallest of each component of this and `other`
+     */
+    min(other) {
+        this.x = Math.min(this.x, other.x);
+        this.y = Math.min(this.y, other.y);
+        this.z = Math.min(this.z, other.z);
+        return this;
+    }
+
+    /**
+     * Keep the largest of each component of this and `other`
+     */
+    max(other) {
+        this.x = Math.max(this.x, other.x);
+        this.y = Math.max(this.y, other.y);
+        this.z = Math.max(this.z, other.z);
+        return this;
+    }
+
     inspect( /* depth, opts */ ) {
         return this.toString();
     }
@@ -155,16 +286,311 @@ class Vector3 {
     }
 
     static distance(lhs, rhs) {
-        return lhs.distance(rhs);
+        return Vector3.prototype.distanceTo.call(lhs, rhs);
+    }
+
+    static normalize(vector) {
+        return new Vector3(vector.x, vector.y, vector.z).normalize();
+    }
+
+    static negate(vector) {
+        return new Vector3(vector.x, vector.y, vector.z).negate();
+    }
+
+    static lerp(lhs, rhs, t) {
+        return new Vector3(lhs.x, lhs.y, lhs.z).lerp(rhs, t);
+    }
+
+    static angle(lhs, rhs) {
+        return new Vector3(lhs.x, lhs.y, lhs.z).angleTo(rhs);
+    }
+
+    static min(lhs, rhs) {
+        return new Vector3(lhs.x, lhs.y, lhs.z).min(rhs);
+    }
+
+    static max(lhs, rhs) {
+        return new Vector3(lhs.x, lhs.y, lhs.z).max(rhs);
+    }
+}
+
+/**
+ * A rotation. Euler angles are in degrees and, like the rotation
+ *  attributes of the document, are applied around Z, then X,
+ *  then Y. Instance methods returning a Quaternion modify it
+ *  in place.
+ */
+class Quaternion {
+    static get identity() { return new Quaternion(0, 0, 0, 1); }
+
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    equals(other) {
+        return this.x === other.x &&
+            this.y === other.y &&
+            this.z === other.z &&
+            this.w === other.w;
+    }
+
+    clone() {
+        return new Quaternion(this.x, this.y, this.z, this.w);
+    }
+
+    dot(other) {
+        return this.x * other.x + this.y * other.y + this.z * other.z + this.w * other.w;
+    }
+
+    length() {
+        return Math.sqrt(this.dot(this));
+    }
+
+    normalize() {
+        var length = this.length();
+        if (!length) {
+            this.x = this.y = this.z = 0;
+            this.w = 1;
+            return this;
+        }
+
+        this.x /= length;
+        this.y /= length;
+        this.z /= length;
+        this.w /= length;
+        return this;
+    }
+
+    /**
+     * Reverse the rotation (assuming this is normalized)
+     */
+    invert() {
+        this.x = -this.x;
+        this.y = -this.y;
+        this.z = -this.z;
+        return this;
+    }
+
+    /**
+     * Combine with `other`, so the result rotates
+     *  by `other` first and then by this
+     */
+    multiply(other) {
+        var x = this.x,
+            y = this.y,
+            z = this.z,
+            w = this.w;
+
+        this.x = w * other.x + x * other.w + y * other.z - z * other.y;
+        this.y = w * other.y - x * other.z + y * other.w + z * other.x;
+        this.z = w * other.z + x * other.y - y * other.x + z * other.w;
+        this.w = w * other.w - x * other.x - y * other.y - z * other.z;
+        return this;
+    }
+
+    /**
+     * Spherical interpolation `t` of the way (0 to 1) towards `other`
+     */
+    slerp(other, t) {
+        var ox = other.x,
+            oy = other.y,
+            oz = other.z,
+            ow = other.w;
+        var cos = this.dot(other);
+
+        // go the short way around
+        if (cos < 0) {
+            cos = -cos;
+            ox = -ox;
+            oy = -oy;
+            oz = -oz;
+            ow = -ow;
+        }
+
+        var from, to;
+        if (cos > 0.9995) {
+            // close enough that lerping is fine (and stable)
+            from = 1 - t;
+            to = t;
+        } else {
+            var angle = Math.acos(cos);
+            var sin = Math.sin(angle);
+            from = Math.sin((1 - t) * angle) / sin;
+            to = Math.sin(t * angle) / sin;
+        }
+
+        this.x = from * this.x + to * ox;
+        this.y = from * this.y + to * oy;
+        this.z = from * this.z + to * oz;
+        this.w = from * this.w + to * ow;
+        return this.normalize();
+    }
+
+    /**
+     * @return A new Vector3: `vector` rotated by this
+     */
+    rotate(vector) {
+        var x = this.x,
+            y = this.y,
+            z = this.z,
+            w = this.w;
+
+        // t = 2 * cross(q.xyz, v)
+        var tx = 2 * (y * vector.z - z * vector.y);
+        var ty = 2 * (z * vector.x - x * vector.z);
+        var tz = 2 * (x * vector.y - y * vector.x);
+
+        // v + w * t + cross(q.xyz, t)
+        return new Vector3(
+            vector.x + w * tx + (y * tz - z * ty),
+            vector.y + w * ty + (z * tx - x * tz),
+            vector.z + w * tz + (x * ty - y * tx));
+    }
+
+    /**
+     * @return The rotation as euler angles, in degrees
+     */
+    toEuler() {
+        var x = this.x,
+            y = this.y,
+            z = this.z,
+            w = this.w;
+
+        var m02 = 2 * (x * z + y * w);
+        var m10 = 2 * (x * y + z * w);
+        var m11 = 1 - 2 * (x * x + z * z);
+        var m12 = 2 * (y * z - x * w);
+        var m22 = 1 - 2 * (x * x + y * y);
+
+        var sinX = Math.max(-1, Math.min(1, -m12));
+        if (Math.abs(sinX) > 0.9999) {
+            // gimbal lock: put all of the spin into y
+            var m00 = 1 - 2 * (y * y + z * z);
+            var m20 = 2 * (x * z - y * w);
+            return new Vector3(
+                Math.asin(sinX) * RAD_TO_DEG,
+                Math.atan2(-m20, m00) * RAD_TO_DEG,
+                0);
+        }
+
+        return new Vector3(
+            Math.asin(sinX) * RAD_TO_DEG,
+            Math.atan2(m02, m22) * RAD_TO_DEG,
+            Math.atan2(m10, m11) * RAD_TO_DEG);
+    }
+
+    inspect( /* depth, opts */ ) {
+        return this.toString();
+    }
+
+    toString() {
+        return "Quaternion(" + this.x + "," + this.y + "," + this.z + "," + this.w + ")";
+    }
+
+    /**
+     * @param x Degrees around the x axis, or a Vector3
+     *  of all three angles
+     */
+    static fromEuler(x, y, z) {
+        if (typeof(x) === 'object') {
+            z = x.z;
+            y = x.y;
+            x = x.x;
+        }
+
+        return Quaternion.fromAxisAngle(Vector3.up, y || 0)
+            .multiply(Quaternion.fromAxisAngle(Vector3.right, x || 0))
+            .multiply(Quaternion.fromAxisAngle(Vector3.forward, z || 0));
+    }
+
+    /**
+     * @param axis A Vector3; needn't be normalized
+     * @param angle In degrees
+     */
+    static fromAxisAngle(axis, angle) {
+        var unit = Vector3.normalize(axis);
+        var half = angle * DEG_TO_RAD / 2;
+        var sin = Math.sin(half);
+        return new Quaternion(unit.x * sin, unit.y * sin, unit.z * sin, Math.cos(half));
+    }
+
+    static multiply(lhs, rhs) {
+        return new Quaternion(lhs.x, lhs.y, lhs.z, lhs.w).multiply(rhs);
+    }
+
+    static slerp(lhs, rhs, t) {
+        return new Quaternion(lhs.x, lhs.y, lhs.z, lhs.w).slerp(rhs, t);
+    }
+
+    static invert(quaternion) {
+        return new Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w).invert();
+    }
+
+    static angle(lhs, rhs) {
+        var cos = Math.min(1, Math.abs(Quaternion.prototype.dot.call(lhs, rhs)));
+        return 2 * Math.acos(cos) * RAD_TO_DEG;
+    }
+}
+
+/**
+ * A single ray cast result
+ */
+class RaycastHit {
+    constructor(element, point, normal, distance) {
+        this.element = element;
+        this.point = point;
+        this.normal = normal;
+        this.distance = distance;
+    }
+
+    inspect( /* depth, opts */ ) {
+        return this.toString();
+    }
+
+    toString() {
+        return `RaycastHit(${this.element}, ${this.point}, ${this.distance})`;
     }
 }
 
+/**
+ * Array-like list of RaycastHits, nearest first
+ */
 class CollisionList {
-    constructor( /* maxSize = 32 */ ) {
+    constructor(maxSize = 32) {
+        this.maxSize = maxSize;
         this.length = 0;
     }
+
+    clear() {
+        for (var i = 0; i < this.length; i++) {
+            delete this[i];
+        }
+        this.length = 0;
+    }
+
+    /**
+     * Replace the contents with (up to maxSize of) `hits`
+     *
+     * @return The number of hits kept
+     */
+    _fill(hits) {
+        this.clear();
+        hits.slice(0, this.maxSize).forEach((hit, i) => {
+            this[i] = hit;
+        });
+        this.length = Math.min(hits.length, this.maxSize);
+        return this.length;
+    }
 }
 
+/**
+ * Rays are cast against the <mesh> elements of the document
+ *  returned by the class's static `document` getter; see
+ *  `Ray.bindTo` and lib/raycast.js for how shapes are built.
+ */
 class Ray {
     constructor(origin, direction) {
         this.origin = origin;
@@ -172,34 +598,80 @@ class Ray {
     }
 
     cast(maxDistance) {
-        return Ray.cast(this.origin, this.direction, maxDistance);
+        return this.constructor.cast(this.origin, this.direction, maxDistance);
     }
 
     multiCast(maxDistance, results = null) {
-        return Ray.multiCast(this.origin, this.direction, maxDistance, results);
+        return this.constructor.multiCast(this.origin, this.direction, maxDistance, results);
     }
 
-    static cast( /* origin, direction, maxDistance */ ) {
-        _warnNotImplemented("Ray.cast");
+    /**
+     * The document rays are cast against
+     */
+    static get document() {
+        return null;
     }
 
+    /**
+     * @return The nearest RaycastHit, or null
+     */
+    static cast(origin, direction, maxDistance) {
+        return this._hits(origin, direction, maxDistance)[0] || null;
+    }
+
+    /**
+     * Collect every hit along the ray, nearest first
+     *
+     * @return The number of hits stored if `results` (a
+     *  CollisionList) is given, else a new CollisionList
+     */
     static multiCast(origin, direction, maxDistance, results = null) {
-        _warnNotImplemented("Ray.multiCast");
+        var hits = this._hits(origin, direction, maxDistance);
         if (results) {
-            return 0;
-        } else {
-            return null;
+            return results._fill(hits);
         }
+
+        var list = new CollisionList(Math.max(hits.length, 32));
+        list._fill(hits);
+        return list;
+    }
+
+    /**
+     * @return A Ray class casting against the document
+     *  returned by `getDocument()`
+     */
+    static bindTo(getDocument) {
+        return class Ray extends this {
+            static get document() {
+                return getDocument();
+            }
+        };
+    }
+
+    static _hits(origin, direction, maxDistance) {
+        var document = this.document;
+        var $ = document && getDocument$(document);
+        if (!$) return [];
+
+        return raycast.castAgainst($('mesh').get(), origin, direction, maxDistance)
+            .map(hit => new RaycastHit(
+                VMElement.from($, hit.node),
+                new Vector3(hit.point.x, hit.point.y, hit.point.z),
+                new Vector3(hit.normal.x, hit.normal.y, hit.normal.z),
+                hit.distance));
     }
 }
 
 class _DelegateVector3 extends Vector3 {
-    constructor(cheerioElement) {
+    constructor(cheerioElement, onSet) {
         super();
         ['x', 'y', 'z'].forEach(prop => {
             Object.defineProperty(this, prop, {
                 get: () => parseFloat(cheerioElement.attr(prop)) || 0,
-                set: val => cheerioElement.attr(prop, val),
+                set: val => {
+                    cheerioElement.attr(prop, val);
+                    onSet(prop, val);
+                },
                 enumerable: true,
             });
         });
@@ -207,7 +679,7 @@ class _DelegateVector3 extends Vector3 {
 }
 
 class _RotationVector3 extends Vector3 {
-    constructor(cheerioElement) {
+    constructor(cheerioElement, onSet) {
         super();
 
         var rotationMap = {
@@ -219,7 +691,10 @@ class _RotationVector3 extends Vector3 {
             var prop = rotationMap[xyz];
             Object.defineProperty(this, xyz, {
                 get: () => parseFloat(cheerioElement.attr(prop)) || 0,
-                set: val => cheerioElement.attr(prop, val),
+                set: val => {
+                    cheerioElement.attr(prop, val);
+                    onSet(prop, val);
+                },
                 enumerable: true,
             });
         });
@@ -267,8 +742,11 @@ class VMElement extends EventEmitter {
         // declare props programmatically to avoid leaking
         //  and ensure read-only-ness
         var cheerioElement = $(node);
-        var delegatePosition = new _DelegateVector3(cheerioElement);
-        var delegateRotation = new _RotationVector3(cheerioElement);
+        var attrChanged = (name, value) => {
+            _mutated($, { type: 'attr', target: node, name: name, value: value });
+        };
+        var delegatePosition = new _DelegateVector3(cheerioElement, attrChanged);
+        var delegateRotation = new _RotationVector3(cheerioElement, attrChanged);
         var toElements = (el, i) => {
             if (typeof(el) === 'number') {
                 el = i;
@@ -280,9 +758,27 @@ class VMElement extends EventEmitter {
             // special props
             position: _vectProp(delegatePosition),
             rotation: _vectProp(delegateRotation),
+            quaternion: {
+                get: () => Quaternion.fromEuler(delegateRotation),
+                set: quaternion => {
+                    var euler = Quaternion.prototype.toEuler.call(quaternion);
+                    delegateRotation.x = euler.x;
+                    delegateRotation.y = euler.y;
+                    delegateRotation.z = euler.z;
+                },
+                enumerable: true,
+            },
 
             // props everyone has:
             id: _attrProp(cheerioElement, 'id'),
+            holder: {
+                get: () => {
+                    var hooks = _hooksFor($);
+                    var id = cheerioElement.attr('id');
+                    return (id && hooks && hooks.holder) ? hooks.holder(id) : null;
+                },
+                enumerable: true,
+            },
         };
 
         // prepare any node-specific attributes
@@ -299,7 +795,7 @@ class VMElement extends EventEmitter {
             Object.keys(nodePropDefs).forEach(prop => {
                 var def = nodePropDefs[prop];
                 if (typeof(def) === 'function') {
-                    this[prop] = def;
+                    this[prop] = def.bind(this, $, node);
                 } else {
                     propsDef[prop] = def;
                 }
@@ -331,6 +827,7 @@ class VMElement extends EventEmitter {
             }
 
             cheerioElement.append(childCheerio);
+            _mutated($, { type: 'append', target: node, node: childCheerio });
         };
 
         this.removeChild = (child) => {
@@ -343,6 +840,7 @@ class VMElement extends EventEmitter {
             cheerioElement.children()
                 .eq(index) // select the index'th child
                 .remove(); // remove it
+            _mutated($, { type: 'remove', target: node, node: childCheerio, index: index });
         };
 
         this.replaceChild = (oldChild, newChild) => {
@@ -357,12 +855,21 @@ class VMElement extends EventEmitter {
         this.replaceChildAt = (index, newChild) => {
             var kids = cheerioElement.children();
             if (index >= 0 && index < kids.length) {
-                kids.eq(index).replaceWith(ElementToCheerio.get(newChild));
+                var newChildCheerio = ElementToCheerio.get(newChild);
+                kids.eq(index).replaceWith(newChildCheerio);
+                _mutated($, {
+                    type: 'replace',
+                    target: node,
+                    node: newChildCheerio,
+                    oldNode: kids[index],
+                    index: index
+                });
             }
         };
 
         this.getElementById = id => {
-            return cheerioElement.find('#' + id).map(toElements)[0];
+            var found = _findById(cheerioElement.find('[id]'), id);
+            return found ? VMElement.from($, found) : undefined;
         };
         this.getElementsByTagName = tag => {
             return cheerioElement.find(tag).map(toElements);
@@ -393,9 +900,28 @@ class VMElement extends EventEmitter {
     }
 }
 
+/**
+ * @return The first of `nodes` whose id is exactly `id`, or null
+ */
+function _findById(nodes, id) {
+    // NOTE: compared rather than put in a `#id` selector, so
+    //  ids (eg: from clients) can't smuggle in selector syntax
+    id = String(id);
+    return nodes.filter((i, node) => node.attribs.id === id).get(0) || null;
+}
+
+/**
+ * @return The node of the document with exactly the given id, or null
+ */
+function findNodeById($, id) {
+    return _findById($('[id]'), id);
+}
+
 class VMDocument {
     constructor(iml) {
-        DocumentTo$[this] = cheerio.load(iml, { xmlMode: true });
+        var $ = cheerio.load(iml, { xmlMode: true });
+        DocumentTo$.set(this, $);
+        $ToDocument.set($, this);
     }
 
     get body() {
@@ -409,7 +935,9 @@ class VMDocument {
     }
 
     getElementById(id) {
-        return this._query('#' + id)[0];
+        var $ = getDocument$(this);
+        var found = findNodeById($, id);
+        return found ? VMElement.from($, found) : undefined;
     }
 
     getElementsByClassName(className) {
@@ -420,6 +948,19 @@ class VMDocument {
         return this._query(tag);
     }
 
+    /**
+     * Persist the document as it is right now
+     *
+     * @return A Promise resolving once it has been saved
+     */
+    save() {
+        var hooks = DocumentHooks.get(this);
+        if (!hooks || !hooks.save) {
+            return Promise.reject(new Error('Persistence is not enabled for this room'));
+        }
+        return hooks.save();
+    }
+
     _query(query) {
         let $ = getDocument$(this);
         return $(query)
@@ -429,27 +970,40 @@ class VMDocument {
 }
 
 class VMWindow {
-    constructor(room, staticPath) {
-        this._location = roomValidator.pathToPlanetFromRoom(room, staticPath);
+    constructor(roomId, timers) {
+        this._location = roomId;
+        this._timers = timers;
     }
 
     get location() {
         return this._location;
     }
 
+    /**
+     * Call `callback` on the room's next tick
+     */
     requestAnimationFrame(callback) {
-        setTimeout(() => {
+        return this._timers.setTimeout(() => {
             callback(Date.now());
-        }, 16);
+        }, 0);
+    }
+
+    cancelAnimationFrame(handle) {
+        this._timers.clearTimeout(handle);
     }
 }
 
 module.exports = {
     AudioClip,
     CollisionList,
+    Quaternion,
     Ray,
+    RaycastHit,
     Vector3,
     VMWindow,
     VMDocument,
+    VMElement,
+    findNodeById,
     getDocument$,
+    setDocumentHooks,
 };
\ No newline at end of file
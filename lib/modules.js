@@ -0,0 +1,426 @@
+'use strict';
+
+/**
+ * `require()` for room scripts
+ *
+ * Room scripts can split shared code into CommonJS modules:
+ *
+ *   var teams = require('./lib/teams');   // next to the planet
+ *   var util = require('shared/util');    // from the library
+ *   var interspace = require('interspace'); // a built-in helper
+ *
+ * Specifiers starting with `./` or `../` are files relative to the
+ *  module requiring them, or, for the planet's own scripts, to the
+ *  planet; they can't leave the room's source (see room-source.js).
+ *  Anything else is a built-in helper, or a file in the server's
+ *  library directory. Node's core modules are never available.
+ *
+ * Files may leave out `.js` (or `.json`), or name a directory with
+ *  an `index.js`. Each is run once per room, and cached until the
+ *  room's scripts reload; like in Node, a module caught in a cycle
+ *  gets the unfinished `exports` of the one requiring it.
+ *
+ * Scripts and modules may also use static `import` and `export`:
+ *
+ *   import { Vector3 } from 'interspace/math';
+ *   import teams from './lib/teams';
+ *   export function score(team) { ... }
+ *
+ *  The VM runs scripts, not ES modules, so these are rewritten to
+ *  `require()` and `exports` first (see `toCommonJs`). A module
+ *  without a default export, eg: a CommonJS one, has its `exports`
+ *  imported as the default. Dynamic `import()` isn't supported.
+ */
+
+var acorn = require('acorn');
+var fs = require('fs');
+var path = require('path');
+
+const NODE_MODULES = require('module').builtinModules;
+
+/* Tried, in order, for a specifier naming a file */
+const EXTENSIONS = ['', '.js', '.json', '/index.js'];
+
+/* Sources that can't be ES modules aren't parsed at all */
+const MAYBE_MODULE = /\b(import|export)\b/;
+
+class ModuleError extends Error {
+    /**
+     * @param code One of NOT_FOUND, FORBIDDEN
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ModuleError';
+        this.code = code;
+    }
+}
+
+function _isRelative(specifier) {
+    return specifier === '.' || specifier === '..' ||
+        specifier.indexOf('./') === 0 || specifier.indexOf('../') === 0;
+}
+
+function _isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @return The name of an import or export specifier's binding
+ */
+function _name(node) {
+    return node.type === 'Literal' ? node.value : node.name;
+}
+
+/**
+ * @return The names declared by a binding pattern
+ */
+function _patternNames(pattern) {
+    switch (pattern.type) {
+        case 'Identifier':
+            return [pattern.name];
+        case 'ObjectPattern':
+            return [].concat.apply([], pattern.properties.map(property =>
+                _patternNames(property.type === 'RestElement' ? property.argument : property.value)));
+        case 'ArrayPattern':
+            return [].concat.apply([], pattern.elements.filter(element => element).map(_patternNames));
+        case 'RestElement':
+            return _patternNames(pattern.argument);
+        case 'AssignmentPattern':
+            return _patternNames(pattern.left);
+    }
+    return [];
+}
+
+/**
+ * Rewrite the static `import` and `export` statements of a script
+ *  to `require()` and `exports`, so the VM can run it
+ *
+ * Imports are hoisted to the first line, like an ES module's, and
+ *  nothing else moves, so line numbers in errors still match. The
+ *  names imported are copies rather than live bindings; like with
+ *  `require()`, a module caught in a cycle may see some missing.
+ *
+ * Options:
+ *  - exports: false if the script mustn't export anything,
+ *      eg: one of the planet's own
+ *
+ * @return The rewritten source; a source with neither, or that
+ *  doesn't parse, comes back as it is
+ * @throws SyntaxError if the script exports when it mustn't
+ */
+function toCommonJs(source, options) {
+    options = Object.assign({
+        exports: true
+    }, options);
+    if (!MAYBE_MODULE.test(source)) return source;
+
+    var program;
+    try {
+        program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'module' });
+    } catch (e) {
+        // left for the VM to report, like any other syntax error
+        return source;
+    }
+
+    var header = []; // run before anything else
+    var footer = []; // run after everything else
+    var edits = []; // {start, end, text}, in source order
+    var exported = false;
+
+    var requireInto = specifier => {
+        var name = `__import${header.length}`;
+        header.push(`var ${name} = require(${JSON.stringify(specifier)});`);
+        return name;
+    };
+    var exportAs = (name, value) => `exports[${JSON.stringify(name)}] = ${value};`;
+    var remove = node => {
+        // keep the line breaks, so the lines after stay put
+        edits.push({
+            start: node.start,
+            end: node.end,
+            text: source.slice(node.start, node.end).replace(/[^\n]/g, '')
+        });
+    };
+    var unwrap = (node, text) => {
+        // just the `export` (or `export default`) in front
+        edits.push({
+            start: node.start,
+            end: node.declaration.start,
+            text: text || ''
+        });
+    };
+    var append = (node, text) => {
+        edits.push({
+            start: node.end,
+            end: node.end,
+            text: ';' + text
+        });
+    };
+
+    program.body.forEach(node => {
+        var declaration = node.declaration;
+        var name;
+
+        switch (node.type) {
+            case 'ImportDeclaration':
+                name = requireInto(node.source.value);
+                node.specifiers.forEach(specifier => {
+                    var local = specifier.local.name;
+                    if (specifier.type === 'ImportDefaultSpecifier') {
+                        header.push(`var ${local} = ${name} && ${name}.__esModule ? ${name}.default : ${name};`);
+                    } else if (specifier.type === 'ImportNamespaceSpecifier') {
+                        header.push(`var ${local} = ${name};`);
+                    } else {
+                        header.push(`var ${local} = ${name}[${JSON.stringify(_name(specifier.imported))}];`);
+                    }
+                });
+                remove(node);
+                return;
+
+            case 'ExportAllDeclaration':
+                exported = true;
+                name = requireInto(node.source.value);
+                if (node.exported) {
+                    header.push(exportAs(_name(node.exported), name));
+                } else {
+                    header.push(`Object.keys(${name}).forEach(function (key) {` +
+                        ` if (key !== 'default' && !Object.prototype.hasOwnProperty.call(exports, key)) exports[key] = ${name}[key]; });`);
+                }
+                remove(node);
+                return;
+
+            case 'ExportNamedDeclaration':
+                exported = true;
+                if (node.source) {
+                    name = requireInto(node.source.value);
+                    node.specifiers.forEach(specifier => {
+                        header.push(exportAs(_name(specifier.exported), `${name}[${JSON.stringify(_name(specifier.local))}]`));
+                    });
+                    remove(node);
+                } else if (!declaration) {
+                    // NOTE: at the end, as the names may be declared after
+                    node.specifiers.forEach(specifier => {
+                        footer.push(exportAs(_name(specifier.exported), _name(specifier.local)));
+                    });
+                    remove(node);
+                } else if (declaration.type === 'FunctionDeclaration') {
+                    // hoisted, like the function itself
+                    header.push(exportAs(declaration.id.name, declaration.id.name));
+                    unwrap(node);
+                } else {
+                    var names = declaration.type === 'ClassDeclaration' ? [declaration.id.name] :
+                        [].concat.apply([], declaration.declarations.map(declarator => _patternNames(declarator.id)));
+                    unwrap(node);
+                    append(node, names.map(local => exportAs(local, local)).join(' '));
+                }
+                return;
+
+            case 'ExportDefaultDeclaration':
+                exported = true;
+                if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+                    header.push(exportAs('default', declaration.id.name));
+                    unwrap(node);
+                } else if (declaration.type === 'ClassDeclaration' && declaration.id) {
+                    unwrap(node);
+                    append(node, exportAs('default', declaration.id.name));
+                } else {
+                    unwrap(node, 'exports.default = ');
+                    append(node, '');
+                }
+                return;
+        }
+    });
+
+    if (!header.length && !edits.length) return source;
+    if (exported && !options.exports) {
+        throw new SyntaxError('Planet scripts can\'t export anything; put shared code in a module');
+    }
+
+    var result = '';
+    var position = 0;
+    edits.forEach(edit => {
+        result += source.slice(position, edit.start) + edit.text;
+        position = edit.end;
+    });
+    result += source.slice(position);
+
+    // ES modules are always strict
+    var prologue = ['\'use strict\';'];
+    if (exported) prologue.push('Object.defineProperty(exports, \'__esModule\', { value: true });');
+    return prologue.concat(header).join(' ') + ' ' + result +
+        (footer.length ? '\n' + footer.join(' ') : '');
+}
+
+/**
+ * Loads the modules of a single room's scripts
+ *
+ * Options:
+ *  - libraryPath: (optional) the directory bare specifiers are
+ *      looked up in
+ *  - builtins: (optional) name -> value of extra built-in helpers;
+ *      they're handed to scripts as-is, so must be safe to share
+ *  - onLoad(filePath): (optional) called with the path of every
+ *      file loaded, eg: to watch it
+ */
+class ModuleLoader {
+    /**
+     * @param run `(source, filename)` running code in the room's VM
+     * @param builtins name -> value of the built-in helpers
+     */
+    constructor(room, sources, run, builtins, options) {
+        this.room = room;
+        this.sources = sources;
+        this.options = Object.assign({
+            libraryPath: null,
+            builtins: null,
+            onLoad: null
+        }, options);
+
+        this.libraryPath = this.options.libraryPath ? path.resolve(this.options.libraryPath) : null;
+        this.builtins = Object.assign({}, builtins, this.options.builtins);
+
+        this._run = run;
+        this._cache = new Map(); // absolute path -> module
+
+        // what the planet's own scripts get as `require`
+        this.require = this._requireFrom({ root: 'planet', dir: '.' });
+    }
+
+    /**
+     * @param from Where the requiring module lives: `root` is either
+     *  'planet' (with `dir` relative to the planet) or 'library'
+     *  (with `dir` an absolute path in the library)
+     * @return The `require` function for a module
+     */
+    _requireFrom(from) {
+        var loader = this;
+        return function require(specifier) {
+            if (typeof(specifier) !== 'string' || !specifier) {
+                throw new TypeError('Modules must be required by name');
+            }
+            return loader._load(loader._resolve(specifier, from));
+        };
+    }
+
+    /**
+     * @return {builtin} or {filePath, root, dir} for a specifier
+     * @throws ModuleError if it can't be found, or mustn't be used
+     */
+    _resolve(specifier, from) {
+        if (Object.prototype.hasOwnProperty.call(this.builtins, specifier)) {
+            return { builtin: specifier };
+        }
+
+        var bareName = specifier.replace(/^node:/, '').split('/')[0];
+        if (specifier.indexOf('node:') === 0 || NODE_MODULES.indexOf(bareName) !== -1) {
+            throw new ModuleError('FORBIDDEN', `Node's \`${specifier}\` module is not available to room scripts`);
+        }
+
+        if (!_isRelative(specifier)) {
+            return this._resolveLibrary(specifier, this.libraryPath);
+        }
+        if (from.root === 'library') {
+            return this._resolveLibrary(specifier, from.dir);
+        }
+        return this._resolvePlanet(specifier, from.dir);
+    }
+
+    _resolvePlanet(specifier, dir) {
+        var relativePath = path.posix.join(dir, specifier);
+        for (var i = 0; i < EXTENSIONS.length; i++) {
+            var candidate = relativePath + EXTENSIONS[i];
+
+            // NOTE: the source says where the room's files may be
+            var filePath;
+            try {
+                filePath = this.sources.resolve(this.room.id, candidate);
+            } catch (e) {
+                throw new ModuleError('FORBIDDEN', `\`${specifier}\` is not allowed: ${e.message}`);
+            }
+            if (filePath && _isFile(filePath)) {
+                return {
+                    filePath: filePath,
+                    root: 'planet',
+                    dir: path.posix.dirname(candidate)
+                };
+            }
+        }
+        throw new ModuleError('NOT_FOUND', `Cannot find module \`${specifier}\``);
+    }
+
+    _resolveLibrary(specifier, dir) {
+        if (!this.libraryPath) {
+            throw new ModuleError('NOT_FOUND', `Cannot find module \`${specifier}\` (there's no library)`);
+        }
+
+        var basePath = path.resolve(dir, specifier);
+        for (var i = 0; i < EXTENSIONS.length; i++) {
+            var filePath = basePath + EXTENSIONS[i];
+            if (filePath.indexOf(this.libraryPath + path.sep) !== 0) {
+                throw new ModuleError('FORBIDDEN', `\`${specifier}\` is outside of the library`);
+            }
+            if (_isFile(filePath)) {
+                return {
+                    filePath: filePath,
+                    root: 'library',
+                    dir: path.dirname(filePath)
+                };
+            }
+        }
+        throw new ModuleError('NOT_FOUND', `Cannot find module \`${specifier}\``);
+    }
+
+    /**
+     * @return The exports of a resolved module, running it if
+     *  it hasn't been yet
+     */
+    _load(resolved) {
+        if (resolved.builtin) return this.builtins[resolved.builtin];
+
+        var cached = this._cache.get(resolved.filePath);
+        if (cached) return cached.exports;
+
+        var source = fs.readFileSync(resolved.filePath, 'utf8');
+        if (this.options.onLoad) this.options.onLoad(resolved.filePath);
+
+        // NOTE: scripts only ever see paths relative to where
+        //  they're kept, never where that is on the server
+        var filename = resolved.root === 'library' ?
+            'library:' + path.relative(this.libraryPath, resolved.filePath).split(path.sep).join('/') :
+            path.posix.join(resolved.dir, path.basename(resolved.filePath));
+
+        var scriptModule = {
+            id: filename,
+            exports: {}
+        };
+        this._cache.set(resolved.filePath, scriptModule);
+
+        try {
+            if (path.extname(resolved.filePath) === '.json') {
+                scriptModule.exports = JSON.parse(source);
+            } else {
+                var wrapper = this._run(
+                    '(function (exports, require, module, __filename) {' + toCommonJs(source) + '\n})',
+                    filename);
+                wrapper.call(scriptModule.exports, scriptModule.exports,
+                    this._requireFrom(resolved), scriptModule, filename);
+            }
+        } catch (e) {
+            // so requiring it again tries again
+            this._cache.delete(resolved.filePath);
+            throw e;
+        }
+
+        return scriptModule.exports;
+    }
+}
+
+module.exports = {
+    ModuleError,
+    ModuleLoader,
+    toCommonJs
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Persistence of room documents
+ *
+ * A store is any object with:
+ *  - load(roomId): Promise resolving to the saved IML, or null
+ *      if nothing has been saved for the room yet
+ *  - save(roomId, iml): Promise resolving once the IML is stored
+ */
+
+var fs = require('fs');
+var path = require('path');
+var Promise = require('promise');
+var mkdir = Promise.denodeify(fs.mkdir);
+var readFile = Promise.denodeify(fs.readFile);
+var writeFile = Promise.denodeify(fs.writeFile);
+var rename = Promise.denodeify(fs.rename);
+var unlink = Promise.denodeify(fs.unlink);
+
+const { getDocument$ } = require('./dom');
+const { FileSystemSource } = require('./room-source');
+
+/**
+ * Default store; keeps each room's snapshot in a file under `dir`,
+ *  at the path its planet file has under `public/`
+ *  (`public/planets/arena.iml` -> `snapshots/planets/arena.iml`)
+ *
+ * By default `dir` is `snapshots/` in the static path, out of the
+ *  public directory, so snapshots are never served to anyone or
+ *  taken for planets of their own.
+ */
+class FileStore {
+
+    /**
+     * Options:
+     *  - dir: where to keep the snapshots
+     *  - suffix: inserted before the extension of each snapshot
+     */
+    constructor(staticPath, options) {
+        this.staticPath = staticPath;
+        this.options = Object.assign({
+            dir: path.join(staticPath, 'snapshots'),
+            suffix: ''
+        }, options);
+        this.dir = path.resolve(this.options.dir);
+        this._files = new FileSystemSource(staticPath);
+    }
+
+    pathFor(roomId) {
+        var planetPath = path.relative(this._files.publicDir, this._files.pathFor(roomId));
+        var parsed = path.parse(planetPath);
+        return path.join(this.dir, parsed.dir, parsed.name + this.options.suffix + parsed.ext);
+    }
+
+    load(roomId) {
+        return Promise.resolve()
+            .then(() => readFile(this.pathFor(roomId), 'utf8'))
+            .then(null, err => {
+                // (rooms with ids we can't map to a file never have anything saved)
+                if (err.code === 'ENOENT' || err.code === 'INVALID_ROOM') return null;
+                throw err;
+            });
+    }
+
+    save(roomId, iml) {
+        // write next to the target and rename over it, so
+        //  a crash mid-write never leaves a truncated file
+        var target;
+        try {
+            target = this.pathFor(roomId);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        var temp = `${target}.${process.pid}.tmp`;
+        return mkdir(path.dirname(target), { recursive: true })
+            .then(() => writeFile(temp, iml, 'utf8'))
+            .then(() => rename(temp, target))
+            .then(null, err => {
+                return unlink(temp)
+                    .then(null, () => {}) // best effort
+                    .then(() => { throw err; });
+            });
+    }
+}
+
+/**
+ * Writes snapshots of a single room's document to a store,
+ *  coalescing bursts of changes into one write
+ */
+class DocumentPersister {
+
+    /**
+     * Options:
+     *  - store: the store to use
+     *  - delay: most ms to wait after a change before writing;
+     *      changes made meanwhile go in the same write
+     */
+    constructor(roomId, options) {
+        this.roomId = roomId;
+        this.store = options.store;
+        this.delay = options.delay;
+
+        this._pending = null; // document waiting to be written
+        this._timer = null;
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * @return A Promise resolving to the saved IML, or null
+     */
+    load() {
+        // make sure we read back our own latest snapshot
+        this.flush().then(null, () => {});
+        return this._writing.then(() => this.store.load(this.roomId));
+    }
+
+    /**
+     * Save the document within `delay` ms
+     */
+    schedule(document) {
+        this._pending = document;
+
+        // NOTE: not pushed back by later changes, or a document
+        //  that keeps changing (eg: physics) would never be saved
+        if (this._timer) return;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.flush();
+        }, this.delay);
+    }
+
+    /**
+     * Save the document right away
+     *
+     * @return A Promise resolving once it has been written
+     */
+    save(document) {
+        this._pending = document;
+        return this.flush();
+    }
+
+    /**
+     * Write any pending changes now
+     *
+     * @return A Promise resolving once they have been written
+     */
+    flush() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        var document = this._pending;
+        if (!document) return this._writing;
+        this._pending = null;
+
+        // serialize now, but queue behind any write in progress
+        //  so snapshots land in order
+        var iml = getDocument$(document).xml();
+        var roomId = this.roomId;
+        this._writing = this._writing
+            .then(() => this.store.save(roomId, iml))
+            .then(null, err => {
+                console.error(`Saving ${roomId} failed: ${err}`);
+                throw err;
+            });
+
+        var result = this._writing;
+        this._writing = result.then(null, () => {}); // keep the queue alive
+        return result;
+    }
+}
+
+module.exports = {
+    DocumentPersister,
+    FileStore
+};
@@ -0,0 +1,393 @@
+'use strict';
+
+/**
+ * Server-side rigidbody simulation
+ *
+ * Every <rigidbody> of the room's document is a dynamic body,
+ *  unless it has `kinematic="true"` or is being held by a client.
+ *  Its collider is its first child element (eg: the mesh inside
+ *  it), shaped as described in lib/raycast.js; sphere colliders
+ *  stay spheres, anything else collides as an axis-aligned box.
+ *
+ * Bodies fall under gravity (unless `gravity="false"`), take
+ *  impulses through `rigidbody.impulse(vector)` (scaled by the
+ *  `mass` attribute) and are pushed out of the static geometry:
+ *  every <mesh> that isn't inside a rigidbody, and the ground.
+ *  They don't collide with each other.
+ *
+ * The ground is a plane at the height of the document's <terrain>
+ *  (the server doesn't know the terrain's shape, so it's flat), and
+ *  another one at the `floor` option, so bodies that miss everything
+ *  else still come to rest instead of falling forever. The `bounce` attribute (0 to 1) sets how much
+ *  speed they keep when they hit something.
+ *
+ * The simulation runs in fixed steps off the room's tick loop,
+ *  so it's deterministic for a given document. Moving a body sets its `position`, which
+ *  reaches clients as a regular dom-patch.
+ */
+
+const { findNodeById, getDocument$, VMElement } = require('./dom');
+const { shapeOf, worldTransform } = require('./raycast');
+
+const DEFAULTS = {
+    rate: 60, // steps per second
+    gravity: -9.81, // acceleration along y
+    maxSteps: 10, // most steps to run in a single room tick
+    sleepSpeed: 0.05, // bodies slower than this after a collision come to rest
+    floor: -100 // height of a ground plane under everything; null for none
+};
+
+function _num(node, name, fallback) {
+    var val = parseFloat(node.attribs && node.attribs[name]);
+    return isFinite(val) ? val : fallback;
+}
+
+function _isTrue(node, name) {
+    return String(node.attribs && node.attribs[name]).toLowerCase() === 'true';
+}
+
+function _isFalse(node, name) {
+    return String(node.attribs && node.attribs[name]).toLowerCase() === 'false';
+}
+
+function _clamp(val, min, max) {
+    return Math.max(min, Math.min(max, val));
+}
+
+/**
+ * @return True if the node is, or is inside, a rigidbody
+ */
+function _inRigidbody(node) {
+    for (var current = node; current; current = current.parent) {
+        if (current.name === 'rigidbody') return true;
+    }
+    return false;
+}
+
+/**
+ * @return The world-space axis-aligned half extents of a box shape
+ */
+function _aabbExtents(shape) {
+    var m = shape.basis,
+        e = shape.halfExtents;
+    return {
+        x: Math.abs(m[0][0]) * e.x + Math.abs(m[0][1]) * e.y + Math.abs(m[0][2]) * e.z,
+        y: Math.abs(m[1][0]) * e.x + Math.abs(m[1][1]) * e.y + Math.abs(m[1][2]) * e.z,
+        z: Math.abs(m[2][0]) * e.x + Math.abs(m[2][1]) * e.y + Math.abs(m[2][2]) * e.z
+    };
+}
+
+/**
+ * @return The closest point to `point` within a box shape
+ */
+function _closestOnBox(point, shape) {
+    var m = shape.basis,
+        e = shape.halfExtents;
+    var d = {
+        x: point.x - shape.center.x,
+        y: point.y - shape.center.y,
+        z: point.z - shape.center.z
+    };
+
+    // into the box's space, clamp, and back out again
+    var lx = _clamp(m[0][0] * d.x + m[1][0] * d.y + m[2][0] * d.z, -e.x, e.x);
+    var ly = _clamp(m[0][1] * d.x + m[1][1] * d.y + m[2][1] * d.z, -e.y, e.y);
+    var lz = _clamp(m[0][2] * d.x + m[1][2] * d.y + m[2][2] * d.z, -e.z, e.z);
+    return {
+        x: shape.center.x + m[0][0] * lx + m[0][1] * ly + m[0][2] * lz,
+        y: shape.center.y + m[1][0] * lx + m[1][1] * ly + m[1][2] * lz,
+        z: shape.center.z + m[2][0] * lx + m[2][1] * ly + m[2][2] * lz
+    };
+}
+
+/**
+ * Contact between a sphere and the closest point of some shape to
+ *  its center. Spheres whose center is already inside the shape
+ *  are pushed straight up.
+ */
+function _sphereContact(center, radius, closest) {
+    var dx = center.x - closest.x;
+    var dy = center.y - closest.y;
+    var dz = center.z - closest.z;
+    var distSq = dx * dx + dy * dy + dz * dz;
+    if (distSq >= radius * radius) return null;
+
+    var dist = Math.sqrt(distSq);
+    if (!dist) {
+        return {
+            normal: { x: 0, y: 1, z: 0 },
+            depth: radius
+        };
+    }
+
+    return {
+        normal: { x: dx / dist, y: dy / dist, z: dz / dist },
+        depth: radius - dist
+    };
+}
+
+/**
+ * @return The contact {normal, depth} pushing the collider
+ *  out of the static shape, or null if they don't touch
+ */
+function _contact(collider, other) {
+    if (other.type === 'ground') {
+        var height = collider.type === 'sphere' ? collider.radius : collider.aabb.y;
+        var depth = height - (collider.center.y - other.y);
+        if (depth <= 0) return null;
+
+        return {
+            normal: { x: 0, y: 1, z: 0 },
+            depth: depth
+        };
+    }
+
+    if (collider.type === 'sphere') {
+        var closest = other.type === 'sphere' ?
+            _closestOnSphere(collider.center, other) :
+            _closestOnBox(collider.center, other);
+        return _sphereContact(collider.center, collider.radius, closest);
+    }
+
+    // collider is an aabb
+    if (other.type === 'sphere') {
+        var contact = _sphereContact(other.center, other.radius, _closestOnBox(other.center, collider));
+        if (contact) {
+            contact.normal = {
+                x: -contact.normal.x,
+                y: -contact.normal.y,
+                z: -contact.normal.z
+            };
+        }
+        return contact;
+    }
+
+    // aabb vs aabb: push out along the axis of least overlap
+    var a = collider.aabb,
+        b = _aabbExtents(other);
+    var best = null;
+    var axes = ['x', 'y', 'z'];
+    for (var i = 0; i < axes.length; i++) {
+        var axis = axes[i];
+        var delta = collider.center[axis] - other.center[axis];
+        var overlap = a[axis] + b[axis] - Math.abs(delta);
+        if (overlap <= 0) return null;
+
+        if (!best || overlap < best.depth) {
+            var normal = { x: 0, y: 0, z: 0 };
+            normal[axis] = delta < 0 ? -1 : 1;
+            best = { normal: normal, depth: overlap };
+        }
+    }
+    return best;
+}
+
+function _closestOnSphere(point, shape) {
+    var dx = point.x - shape.center.x;
+    var dy = point.y - shape.center.y;
+    var dz = point.z - shape.center.z;
+    var dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dist <= shape.radius) return point;
+
+    var k = shape.radius / dist;
+    return {
+        x: shape.center.x + dx * k,
+        y: shape.center.y + dy * k,
+        z: shape.center.z + dz * k
+    };
+}
+
+/**
+ * Runs the rigidbody simulation of a single room
+ */
+class Physics {
+    constructor(room, options) {
+        this.room = room;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.step = 1 / this.options.rate;
+
+        this._bodies = new WeakMap(); // cheerio node -> {velocity, sleeping}
+        this._statics = null; // static shapes, until the document changes
+        this._staticsOf = null; // the document they're for
+        this._accumulator = 0;
+        this._onTick = dt => this.update(dt);
+    }
+
+    start() {
+        this.stop();
+        this._accumulator = 0;
+        this.room.on('tick', this._onTick);
+    }
+
+    stop() {
+        this.room.removeListener('tick', this._onTick);
+    }
+
+    /**
+     * Run as many fixed steps as fit in `dt` seconds
+     */
+    update(dt) {
+        this._accumulator += dt;
+
+        // after a long stall, just drop the time we can't catch up on
+        var maxTime = this.step * this.options.maxSteps;
+        if (this._accumulator > maxTime) this._accumulator = maxTime;
+
+        while (this._accumulator >= this.step) {
+            this._accumulator -= this.step;
+            this.advance();
+        }
+    }
+
+    /**
+     * Add `impulse` to a rigidbody, waking it up
+     */
+    impulse(node, impulse) {
+        var body = this._bodyFor(node);
+        var mass = _num(node, 'mass', 1) || 1;
+        body.velocity.x += (impulse.x || 0) / mass;
+        body.velocity.y += (impulse.y || 0) / mass;
+        body.velocity.z += (impulse.z || 0) / mass;
+        body.sleeping = false;
+    }
+
+    /**
+     * Let the rigidbody with the given id fall again from
+     *  rest, eg: after it's been dropped
+     */
+    wake(elementId) {
+        var document = this.room.rpc.document;
+        var $ = document && getDocument$(document);
+        var node = $ && findNodeById($, elementId);
+        if (!node) return;
+
+        this._bodies.set(node, {
+            velocity: { x: 0, y: 0, z: 0 },
+            sleeping: false
+        });
+    }
+
+    /**
+     * Let the simulation know about a change to the document, so
+     *  it can tell when the static geometry needs rebuilding
+     */
+    mutated(mutation) {
+        // bodies moving (whether we move them or not) is no
+        //  reason to rebuild everything else
+        if (!_inRigidbody(mutation.target)) this._statics = null;
+    }
+
+    /**
+     * Advance the simulation by a single fixed step
+     */
+    advance() {
+        var document = this.room.rpc.document;
+        var $ = document && getDocument$(document);
+        if (!$) return;
+
+        var statics = this._staticsFor(document, $);
+        $('rigidbody').each((i, node) => {
+            if (_isTrue(node, 'kinematic')) return;
+            if (node.attribs.id && this.room.pickups.holderOf(node.attribs.id)) return;
+
+            this._advanceBody($, node, statics);
+        });
+    }
+
+    _staticsFor(document, $) {
+        if (this._statics && this._staticsOf === document) return this._statics;
+
+        var statics = $('mesh').filter((i, node) => !_inRigidbody(node))
+            .get()
+            .map(shapeOf);
+        $('terrain').each((i, node) => {
+            statics.push({ type: 'ground', y: worldTransform(node).position.y });
+        });
+        if (this.options.floor !== null && this.options.floor !== undefined) {
+            statics.push({ type: 'ground', y: this.options.floor });
+        }
+
+        this._statics = statics;
+        this._staticsOf = document;
+        return statics;
+    }
+
+    _bodyFor(node) {
+        var body = this._bodies.get(node);
+        if (!body) {
+            body = {
+                velocity: { x: 0, y: 0, z: 0 },
+                sleeping: false
+            };
+            this._bodies.set(node, body);
+        }
+        return body;
+    }
+
+    _advanceBody($, node, statics) {
+        var body = this._bodyFor(node);
+        if (body.sleeping) return;
+
+        var dt = this.step;
+        var velocity = body.velocity;
+        if (!_isFalse(node, 'gravity')) {
+            velocity.y += this.options.gravity * dt;
+        }
+
+        var colliderNode = $(node).children().get(0) || node;
+        var offset = {
+            x: velocity.x * dt,
+            y: velocity.y * dt,
+            z: velocity.z * dt
+        };
+
+        var collider = shapeOf(colliderNode);
+        collider.center.x += offset.x;
+        collider.center.y += offset.y;
+        collider.center.z += offset.z;
+        if (collider.type !== 'sphere') {
+            collider.aabb = _aabbExtents(collider);
+        }
+
+        var bounce = _clamp(_num(node, 'bounce', 0), 0, 1);
+        var collided = false;
+        statics.forEach(other => {
+            var contact = _contact(collider, other);
+            if (!contact) return;
+
+            collided = true;
+            ['x', 'y', 'z'].forEach(axis => {
+                var push = contact.normal[axis] * contact.depth;
+                offset[axis] += push;
+                collider.center[axis] += push;
+            });
+
+            var into = velocity.x * contact.normal.x +
+                velocity.y * contact.normal.y +
+                velocity.z * contact.normal.z;
+            if (into < 0) {
+                ['x', 'y', 'z'].forEach(axis => {
+                    velocity[axis] -= (1 + bounce) * into * contact.normal[axis];
+                });
+            }
+        });
+
+        if (collided) {
+            var speed = Math.sqrt(
+                velocity.x * velocity.x +
+                velocity.y * velocity.y +
+                velocity.z * velocity.z);
+            if (speed < this.options.sleepSpeed) {
+                velocity.x = velocity.y = velocity.z = 0;
+                body.sleeping = true;
+            }
+        }
+
+        var position = VMElement.from($, node).position;
+        ['x', 'y', 'z'].forEach(axis => {
+            if (offset[axis]) position[axis] += offset[axis];
+        });
+    }
+}
+
+module.exports = Physics;
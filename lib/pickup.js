@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Tracks which client is holding which pickup-able
+ *  element of a room
+ */
+class PickupTracker {
+    constructor(room) {
+        this.room = room;
+        this._holders = new Map(); // elementId -> uuid
+    }
+
+    /**
+     * @return The uuid of the client holding the element, or null
+     */
+    holderOf(elementId) {
+        return this._holders.get(elementId) || null;
+    }
+
+    /**
+     * @return The ids of the elements held by the client
+     */
+    heldBy(uuid) {
+        var held = [];
+        this._holders.forEach((holder, elementId) => {
+            if (holder === uuid) held.push(elementId);
+        });
+        return held;
+    }
+
+    /**
+     * Try to pick up an element for a client; only
+     *  members of the room can
+     *
+     * @return A PickupResponse
+     */
+    pickup(uuid, requestedId) {
+        var invalid = { 'validForPickup': false };
+        if (!this.room.states[uuid]) return invalid;
+
+        var rpc = this.room.rpc;
+        var document = rpc.document;
+        var element = document && requestedId && document.getElementById(requestedId);
+        if (!element || !element.pickup || element.pickup.toLowerCase() !== 'true') {
+            return invalid;
+        }
+
+        // held elements are tracked by their own id, never
+        //  by whatever the client sent to find them
+        var elementId = element.id;
+
+        var holder = this.holderOf(elementId);
+        if (holder && holder !== uuid) {
+            // someone beat you to it
+            return invalid;
+        }
+
+        if (!holder) {
+            if (!rpc.emitPickup(element, uuid)) return invalid;
+            this._holders.set(elementId, uuid);
+        }
+
+        // the transform lives on the first child
+        //  (eg: the mesh inside the rigidbody)
+        var transformed = element.childNodes.filter(node => node.tagName)[0] || element;
+        var position = transformed.position;
+        var rotation = transformed.rotation;
+        return {
+            'validForPickup': true,
+            'x': position.x,
+            'y': position.y,
+            'z': position.z,
+            'rotationX': rotation.x,
+            'rotation': rotation.y,
+            'rotationZ': rotation.z
+        };
+    }
+
+    /**
+     * Release an element held by a client
+     *
+     * @return True if the client, a member of the
+     *  room, was holding it
+     */
+    drop(uuid, elementId) {
+        if (!this.room.states[uuid] || this.holderOf(elementId) !== uuid) return false;
+
+        this._holders.delete(elementId);
+
+        var document = this.room.rpc.document;
+        var element = document && document.getElementById(elementId);
+        if (element) this.room.rpc.emitDrop(element, uuid);
+        if (this.room.physics) this.room.physics.wake(elementId);
+        return true;
+    }
+
+    /**
+     * Release everything a client is holding
+     */
+    dropAll(uuid) {
+        this.heldBy(uuid).forEach(elementId => this.drop(uuid, elementId));
+    }
+}
+
+module.exports = PickupTracker;
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Rate limiting for RPC functions
+ *
+ * A limiter is any object with:
+ *  - allows(sender, rpcArgs): true if the call may go ahead
+ *  - forget(uuid): (optional) drop any state kept for a client
+ *
+ * An embedding app can supply its own through the `rateLimiter`
+ *  option of InterspaceServer: a function `(config, name, shared)`
+ *  returning a limiter for the function `name`, opened with `config`.
+ *  `shared` is an object shared by the limiters of all of a room's
+ *  functions, for any state they keep for the room as a whole.
+ *
+ * Only calls from members of the room ever reach a limiter.
+ */
+
+/* ms between sweeps of the clients' buckets */
+const SWEEP_INTERVAL = 10 * 1000;
+
+/**
+ * Classic token bucket: holds up to `burst` tokens and
+ *  refills at `rate` tokens per second
+ */
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.last = Date.now();
+    }
+
+    /**
+     * @return True if there are at least `cost` tokens
+     */
+    has(cost) {
+        this._refill();
+        return this.tokens >= cost;
+    }
+
+    take(cost) {
+        this.tokens -= cost;
+    }
+
+    /**
+     * @return True if the bucket is back to full
+     */
+    get full() {
+        this._refill();
+        return this.tokens >= this.burst;
+    }
+
+    _refill() {
+        var now = Date.now();
+        var elapsed = (now - this.last) / 1000;
+        this.last = now;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    }
+}
+
+/**
+ * The default limiter. Each client gets their own bucket per
+ *  function, and if `roomRate` is configured, calls to every
+ *  function of the room also share one.
+ *
+ * Config:
+ *  - rate: tokens per second, per client
+ *  - burst: most tokens a client can save up
+ *  - cost: tokens each call takes
+ *  - roomRate: tokens per second, for all calls to the room together
+ *      (optional); the first function opened with it sets it for
+ *      the whole room
+ *  - roomBurst: most tokens all calls together can save up
+ */
+class TokenBucketLimiter {
+    /**
+     * @param shared (optional) Shared by the limiters of all of the
+     *  room's functions; keeps the room's bucket
+     */
+    constructor(config, shared) {
+        this.config = config;
+        this.clients = new Map(); // uuid -> TokenBucket
+        this.shared = shared || {};
+        this._lastSweep = Date.now();
+
+        if (config.roomRate) {
+            var roomBurst = config.roomBurst || config.roomRate;
+            var room = this.shared.roomBucket;
+            if (!room) {
+                this.shared.roomBucket = new TokenBucket(config.roomRate, roomBurst);
+            } else if (room.rate !== config.roomRate || room.burst !== roomBurst) {
+                console.warn(`Ignoring roomRate ${config.roomRate}; the room is already capped at ${room.rate}`);
+            }
+        }
+    }
+
+    /**
+     * The bucket every call to the room takes from, if any
+     */
+    get room() {
+        return this.shared.roomBucket || null;
+    }
+
+    /**
+     * @return True if the limiter allows the rpc call
+     */
+    allows(sender /* , rpcArgs */ ) {
+        this._sweep();
+
+        var cost = this.config.cost;
+        var room = this.room;
+        var bucket = this.clients.get(sender.uuid);
+        if (!bucket) {
+            bucket = new TokenBucket(this.config.rate, this.config.burst);
+            this.clients.set(sender.uuid, bucket);
+        }
+
+        // check everything before taking anything, so a call
+        //  refused by the room cap doesn't cost the client
+        if (!bucket.has(cost) || (room && !room.has(cost))) {
+            return false;
+        }
+
+        bucket.take(cost);
+        if (room) room.take(cost);
+        return true;
+    }
+
+    forget(uuid) {
+        this.clients.delete(uuid);
+    }
+
+    /**
+     * Every so often, drop the buckets that are back to full;
+     *  they'd be no different from new ones
+     */
+    _sweep() {
+        var now = Date.now();
+        if (now - this._lastSweep < SWEEP_INTERVAL) return;
+        this._lastSweep = now;
+
+        this.clients.forEach((bucket, uuid) => {
+            if (bucket.full) this.clients.delete(uuid);
+        });
+    }
+}
+
+/**
+ * Fill in the defaults of a rate limiting config
+ */
+function buildLimiterConfig(opts) {
+    var config = Object.assign({
+        rate: 5,
+        burst: null,
+        cost: 1,
+        roomRate: null,
+        roomBurst: null
+    }, opts);
+
+    // `maxRate` is what we used to call `rate`
+    if (opts && opts.maxRate !== undefined && opts.rate === undefined) {
+        config.rate = opts.maxRate;
+    }
+    if (config.burst === null) {
+        config.burst = config.rate;
+    }
+
+    return config;
+}
+
+function createDefaultLimiter(config, name, shared) {
+    return new TokenBucketLimiter(config, shared);
+}
+
+module.exports = {
+    TokenBucket,
+    TokenBucketLimiter,
+    buildLimiterConfig,
+    createDefaultLimiter
+};
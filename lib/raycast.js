@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Ray casting against the elements of a room document
+ *
+ * Every <mesh> is treated as a simple primitive:
+ *  - type="sphere": a sphere of diameter 1
+ *  - type="box" (or "cube"): a unit box
+ *  - anything else: a box sized by its `boundsX`, `boundsY`
+ *    and `boundsZ` attributes (1 where missing)
+ *
+ * ...which is then scaled by `scaleX`/`scaleY`/`scaleZ`, rotated
+ *  by `rotationX`/`rotation`/`rotationZ` (degrees) and moved to
+ *  its `x`/`y`/`z`. Positions and rotations are relative to the
+ *  element's parent; scale is not inherited.
+ *
+ * Everything here works on plain {x, y, z} objects so it can be
+ *  used outside of the sandbox.
+ */
+
+const EPSILON = 1e-9;
+const DEG_TO_RAD = Math.PI / 180;
+
+const IDENTITY = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1]
+];
+
+function _num(node, name, fallback) {
+    var val = parseFloat(node.attribs && node.attribs[name]);
+    return isFinite(val) ? val : fallback;
+}
+
+function _multiply(a, b) {
+    var out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (var i = 0; i < 3; i++) {
+        for (var j = 0; j < 3; j++) {
+            out[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+        }
+    }
+    return out;
+}
+
+function _apply(m, v) {
+    return {
+        x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+        y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+        z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+    };
+}
+
+/* the inverse of a rotation matrix is its transpose */
+function _applyInverse(m, v) {
+    return {
+        x: m[0][0] * v.x + m[1][0] * v.y + m[2][0] * v.z,
+        y: m[0][1] * v.x + m[1][1] * v.y + m[2][1] * v.z,
+        z: m[0][2] * v.x + m[1][2] * v.y + m[2][2] * v.z
+    };
+}
+
+/**
+ * @return The rotation matrix for euler angles in degrees,
+ *  applied around Z, then X, then Y
+ */
+function eulerToMatrix(rx, ry, rz) {
+    var cx = Math.cos(rx * DEG_TO_RAD),
+        sx = Math.sin(rx * DEG_TO_RAD);
+    var cy = Math.cos(ry * DEG_TO_RAD),
+        sy = Math.sin(ry * DEG_TO_RAD);
+    var cz = Math.cos(rz * DEG_TO_RAD),
+        sz = Math.sin(rz * DEG_TO_RAD);
+
+    var x = [[1, 0, 0], [0, cx, -sx], [0, sx, cx]];
+    var y = [[cy, 0, sy], [0, 1, 0], [-sy, 0, cy]];
+    var z = [[cz, -sz, 0], [sz, cz, 0], [0, 0, 1]];
+    return _multiply(y, _multiply(x, z));
+}
+
+/**
+ * @return The world transform {position, basis} of a cheerio node,
+ *  following its parents up to the root
+ */
+function worldTransform(node) {
+    var chain = [];
+    for (var current = node; current && current.attribs; current = current.parent) {
+        chain.unshift(current);
+    }
+
+    var position = { x: 0, y: 0, z: 0 };
+    var basis = IDENTITY;
+    chain.forEach(current => {
+        var local = _apply(basis, {
+            x: _num(current, 'x', 0),
+            y: _num(current, 'y', 0),
+            z: _num(current, 'z', 0)
+        });
+        position = {
+            x: position.x + local.x,
+            y: position.y + local.y,
+            z: position.z + local.z
+        };
+        basis = _multiply(basis, eulerToMatrix(
+            _num(current, 'rotationX', 0),
+            _num(current, 'rotation', 0),
+            _num(current, 'rotationZ', 0)));
+    });
+
+    return {
+        position: position,
+        basis: basis
+    };
+}
+
+/**
+ * @return The collision shape of a cheerio node:
+ *  {type: 'sphere', center, radius} or
+ *  {type: 'box', center, basis, halfExtents}
+ */
+function shapeOf(node) {
+    var transform = worldTransform(node);
+    var scale = {
+        x: Math.abs(_num(node, 'scaleX', 1)),
+        y: Math.abs(_num(node, 'scaleY', 1)),
+        z: Math.abs(_num(node, 'scaleZ', 1))
+    };
+
+    var type = (node.attribs.type || '').toLowerCase();
+    if (type === 'sphere') {
+        return {
+            type: 'sphere',
+            center: transform.position,
+            radius: 0.5 * Math.max(scale.x, scale.y, scale.z)
+        };
+    }
+
+    var isPrimitive = type === 'box' || type === 'cube';
+    return {
+        type: 'box',
+        center: transform.position,
+        basis: transform.basis,
+        halfExtents: {
+            x: 0.5 * scale.x * (isPrimitive ? 1 : _num(node, 'boundsX', 1)),
+            y: 0.5 * scale.y * (isPrimitive ? 1 : _num(node, 'boundsY', 1)),
+            z: 0.5 * scale.z * (isPrimitive ? 1 : _num(node, 'boundsZ', 1))
+        }
+    };
+}
+
+function _intersectSphere(origin, direction, shape) {
+    var ox = origin.x - shape.center.x;
+    var oy = origin.y - shape.center.y;
+    var oz = origin.z - shape.center.z;
+    var b = ox * direction.x + oy * direction.y + oz * direction.z;
+    var c = ox * ox + oy * oy + oz * oz - shape.radius * shape.radius;
+    var discriminant = b * b - c;
+    if (discriminant < 0) return null;
+
+    var root = Math.sqrt(discriminant);
+    var distance = -b - root;
+    if (distance < 0) {
+        // we're inside; report where we come out
+        distance = -b + root;
+        if (distance < 0) return null;
+    }
+
+    var point = {
+        x: origin.x + direction.x * distance,
+        y: origin.y + direction.y * distance,
+        z: origin.z + direction.z * distance
+    };
+    var radius = shape.radius || 1;
+    return {
+        distance: distance,
+        point: point,
+        normal: {
+            x: (point.x - shape.center.x) / radius,
+            y: (point.y - shape.center.y) / radius,
+            z: (point.z - shape.center.z) / radius
+        }
+    };
+}
+
+function _intersectBox(origin, direction, shape) {
+    // work in the box's own space, where it's axis-aligned
+    var localOrigin = _applyInverse(shape.basis, {
+        x: origin.x - shape.center.x,
+        y: origin.y - shape.center.y,
+        z: origin.z - shape.center.z
+    });
+    var localDirection = _applyInverse(shape.basis, direction);
+
+    var near = -Infinity,
+        far = Infinity;
+    var nearAxis = null,
+        farAxis = null;
+    var axes = ['x', 'y', 'z'];
+    for (var i = 0; i < axes.length; i++) {
+        var axis = axes[i];
+        var o = localOrigin[axis],
+            d = localDirection[axis],
+            extent = shape.halfExtents[axis];
+        if (Math.abs(d) < EPSILON) {
+            // parallel to this pair of faces
+            if (o < -extent || o > extent) return null;
+            continue;
+        }
+
+        var t1 = (-extent - o) / d;
+        var t2 = (extent - o) / d;
+        if (t1 > t2) {
+            var swap = t1;
+            t1 = t2;
+            t2 = swap;
+        }
+        if (t1 > near) {
+            near = t1;
+            nearAxis = axis;
+        }
+        if (t2 < far) {
+            far = t2;
+            farAxis = axis;
+        }
+        if (near > far || far < 0) return null;
+    }
+
+    var distance = near,
+        hitAxis = nearAxis;
+    if (distance < 0) {
+        // we're inside; report where we come out
+        distance = far;
+        hitAxis = farAxis;
+    }
+
+    var localNormal = { x: 0, y: 0, z: 0 };
+    if (hitAxis) {
+        var localHit = localOrigin[hitAxis] + localDirection[hitAxis] * distance;
+        localNormal[hitAxis] = localHit < 0 ? -1 : 1;
+    }
+
+    return {
+        distance: distance,
+        point: {
+            x: origin.x + direction.x * distance,
+            y: origin.y + direction.y * distance,
+            z: origin.z + direction.z * distance
+        },
+        normal: _apply(shape.basis, localNormal)
+    };
+}
+
+/**
+ * Intersect a ray with a shape from `shapeOf`
+ *
+ * @param direction Must be normalised
+ * @return {distance, point, normal} or null if it misses
+ */
+function intersect(origin, direction, shape) {
+    if (shape.type === 'sphere') {
+        return _intersectSphere(origin, direction, shape);
+    }
+    return _intersectBox(origin, direction, shape);
+}
+
+/**
+ * Cast a ray against a set of cheerio nodes
+ *
+ * @return The hits within `maxDistance` as {node, distance,
+ *  point, normal}, nearest first
+ */
+function castAgainst(nodes, origin, direction, maxDistance) {
+    var length = Math.sqrt(
+        direction.x * direction.x +
+        direction.y * direction.y +
+        direction.z * direction.z);
+    if (!length) return [];
+
+    var unit = {
+        x: direction.x / length,
+        y: direction.y / length,
+        z: direction.z / length
+    };
+    if (maxDistance === undefined || maxDistance === null) {
+        maxDistance = Infinity;
+    }
+
+    var hits = [];
+    nodes.forEach(node => {
+        var hit = intersect(origin, unit, shapeOf(node));
+        if (hit && hit.distance <= maxDistance) {
+            hit.node = node;
+            hits.push(hit);
+        }
+    });
+
+    return hits.sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+    castAgainst,
+    eulerToMatrix,
+    intersect,
+    shapeOf,
+    worldTransform
+};
@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * Where rooms come from
+ *
+ * A source is any object with:
+ *  - exists(roomId): true if the source provides the room
+ *  - load(roomId): Promise resolving to the room's IML
+ *  - resolve(roomId, relativePath): the absolute path of a file the
+ *      room refers to (eg: its scripts, or terraform file), or null
+ *      if the room has no files of its own. Should throw a
+ *      RoomSourceError with code FORBIDDEN for paths outside of
+ *      where the source keeps its files.
+ *  - files(roomId): (optional) the files the room is built from,
+ *      to watch for changes
+ *
+ * Room ids are absolute, normalised URL paths (`/planets/arena.iml`),
+ *  optionally followed by `#instance` for a separate instance of the
+ *  same planet (`/planets/arena.iml#match-42`). Anything else, like
+ *  ids containing `..`, is refused before any source gets to see it.
+ *  Sources are only ever given the planet part.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var Promise = require('promise');
+var readFile = Promise.denodeify(fs.readFile);
+
+class RoomSourceError extends Error {
+    /**
+     * @param code One of INVALID_ROOM, NOT_FOUND, FORBIDDEN
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'RoomSourceError';
+        this.code = code;
+    }
+}
+
+const INSTANCE_ID = /^[\w-]{1,64}$/;
+
+/**
+ * Split a room id into the id of the planet and the id of the
+ *  instance (null for the planet's default instance)
+ */
+function parseRoomId(roomId) {
+    var hash = roomId.indexOf('#');
+    if (hash === -1) {
+        return {
+            planetId: roomId,
+            instanceId: null
+        };
+    }
+
+    return {
+        planetId: roomId.slice(0, hash),
+        instanceId: roomId.slice(hash + 1)
+    };
+}
+
+/**
+ * @return The id of the given instance of a planet
+ */
+function instanceRoomId(planetId, instanceId) {
+    return instanceId ? `${planetId}#${instanceId}` : planetId;
+}
+
+/**
+ * @return The room id if it's in canonical form, else null
+ */
+function normalizeRoomId(roomId) {
+    if (typeof(roomId) !== 'string') return null;
+
+    var parsed = parseRoomId(roomId);
+    var planetId = parsed.planetId;
+    if (planetId.charAt(0) !== '/') return null;
+    if (planetId.indexOf('\0') !== -1 || planetId.indexOf('\\') !== -1) return null;
+    if (path.posix.normalize(planetId) !== planetId) return null;
+    if (parsed.instanceId !== null && !INSTANCE_ID.test(parsed.instanceId)) return null;
+    return roomId;
+}
+
+/**
+ * @return `filePath` if it's inside `dir`
+ * @throws RoomSourceError if it's not
+ */
+function _within(dir, filePath) {
+    if (filePath.indexOf(dir + path.sep) !== 0) {
+        throw new RoomSourceError('FORBIDDEN', `${filePath} is outside of ${dir}`);
+    }
+    return filePath;
+}
+
+/**
+ * The default source: `.iml` files in the `public`
+ *  directory of the static path
+ */
+class FileSystemSource {
+    constructor(staticPath) {
+        this.publicDir = path.resolve(staticPath, 'public');
+    }
+
+    /**
+     * @return The absolute path of the room's planet file
+     * @throws RoomSourceError if the id isn't a valid one
+     */
+    pathFor(roomId) {
+        var planetId = normalizeRoomId(roomId) && parseRoomId(roomId).planetId;
+        if (!planetId || path.extname(planetId) !== '.iml') {
+            throw new RoomSourceError('INVALID_ROOM', `Invalid room ${roomId}`);
+        }
+        return _within(this.publicDir, path.join(this.publicDir, planetId));
+    }
+
+    exists(roomId) {
+        try {
+            fs.accessSync(this.pathFor(roomId));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    load(roomId) {
+        try {
+            return readFile(this.pathFor(roomId), 'utf8');
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * Like scripts, files are relative to the planet file
+     */
+    resolve(roomId, relativePath) {
+        var planetDir = path.dirname(this.pathFor(roomId));
+        return _within(this.publicDir, path.resolve(planetDir, relativePath));
+    }
+
+    files(roomId) {
+        return [this.pathFor(roomId)];
+    }
+}
+
+/**
+ * A source of rooms generated in memory
+ *
+ * Options:
+ *  - match: a RegExp, or a function, given a room id; for a room
+ *      this source provides, the RegExp must match it, or the
+ *      function return the parameters to generate it with
+ *  - generate(params, roomId): returns the room's IML (or a
+ *      Promise of it); `params` are the RegExp's groups (named if
+ *      it has any), or whatever `match` returned
+ *  - baseDir: (optional) directory the rooms' scripts and other
+ *      files are relative to; without it rooms can only use
+ *      inline scripts
+ */
+class GeneratedSource {
+    constructor(options) {
+        this.options = options;
+        this.baseDir = options.baseDir ? path.resolve(options.baseDir) : null;
+    }
+
+    /**
+     * @return The parameters to generate the room with, or
+     *  null if this source doesn't provide it
+     */
+    paramsFor(roomId) {
+        var match = this.options.match;
+        if (typeof(match) === 'function') {
+            return match(roomId) || null;
+        }
+
+        var result = match.exec(roomId);
+        if (!result) return null;
+        return result.groups || result.slice(1);
+    }
+
+    exists(roomId) {
+        return !!this.paramsFor(roomId);
+    }
+
+    load(roomId) {
+        var params = this.paramsFor(roomId);
+        if (!params) {
+            return Promise.reject(new RoomSourceError('NOT_FOUND', `No such room ${roomId}`));
+        }
+
+        return Promise.resolve()
+            .then(() => this.generate(params, roomId))
+            .then(iml => {
+                if (typeof(iml) !== 'string') {
+                    throw new Error(`Generating ${roomId} didn't produce IML`);
+                }
+                return iml;
+            });
+    }
+
+    generate(params, roomId) {
+        return this.options.generate(params, roomId);
+    }
+
+    resolve(roomId, relativePath) {
+        if (!this.baseDir) return null;
+        return _within(this.baseDir, path.resolve(this.baseDir, relativePath));
+    }
+
+    files( /* roomId */ ) {
+        return [];
+    }
+}
+
+function _escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Generates rooms by filling `{{name}}` placeholders of an IML
+ *  template with the room's parameters (XML-escaped)
+ *
+ * Options, on top of those of GeneratedSource (but `generate`):
+ *  - template: the template IML, or
+ *  - templatePath: the file to read it from; `baseDir`
+ *      defaults to its directory
+ *  - defaults: values for parameters the room id doesn't give
+ */
+class TemplateSource extends GeneratedSource {
+    constructor(options) {
+        if (!options.baseDir && options.templatePath) {
+            options = Object.assign({
+                baseDir: path.dirname(options.templatePath)
+            }, options);
+        }
+        super(options);
+    }
+
+    generate(params) {
+        var template = this.options.templatePath ?
+            readFile(this.options.templatePath, 'utf8') :
+            this.options.template;
+        var values = Object.assign({}, this.options.defaults, params);
+
+        return Promise.resolve(template).then(iml => {
+            return iml.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (placeholder, name) => {
+                var value = values[name];
+                return (value === undefined || value === null) ? '' : _escapeXml(value);
+            });
+        });
+    }
+
+    files( /* roomId */ ) {
+        return this.options.templatePath ? [path.resolve(this.options.templatePath)] : [];
+    }
+}
+
+/**
+ * The sources of a server. Sources are asked in the order they
+ *  were added; the file system is always asked last.
+ */
+class RoomSources {
+    constructor(staticPath, sources) {
+        this.fileSystem = new FileSystemSource(staticPath);
+        this._sources = [];
+        (sources || []).forEach(source => this.register(source));
+    }
+
+    register(source) {
+        this._sources.push(source);
+    }
+
+    /**
+     * @return The source providing the room's planet, or null
+     */
+    sourceFor(roomId) {
+        if (!normalizeRoomId(roomId)) return null;
+
+        var planetId = parseRoomId(roomId).planetId;
+        var sources = this._sources.concat([this.fileSystem]);
+        for (var i = 0; i < sources.length; i++) {
+            if (sources[i].exists(planetId)) return sources[i];
+        }
+        return null;
+    }
+
+    exists(roomId) {
+        return !!this.sourceFor(roomId);
+    }
+
+    /**
+     * @return A Promise resolving to the room's IML
+     */
+    load(roomId) {
+        var source = this.sourceFor(roomId);
+        if (!source) {
+            return Promise.reject(new RoomSourceError('NOT_FOUND', `No such room ${roomId}`));
+        }
+        return Promise.resolve(source.load(parseRoomId(roomId).planetId));
+    }
+
+    /**
+     * @see the `resolve` of sources
+     */
+    resolve(roomId, relativePath) {
+        var source = this.sourceFor(roomId);
+        if (!source) {
+            throw new RoomSourceError('NOT_FOUND', `No such room ${roomId}`);
+        }
+        return source.resolve(parseRoomId(roomId).planetId, relativePath);
+    }
+
+    /**
+     * Read a file the room refers to, eg: a script
+     *
+     * @return A Promise resolving to its contents
+     */
+    readFile(roomId, relativePath) {
+        try {
+            var filePath = this.resolve(roomId, relativePath);
+            if (!filePath) {
+                throw new RoomSourceError('NOT_FOUND', `${roomId} has no file ${relativePath}`);
+            }
+            return readFile(filePath, 'utf8');
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * @return The files the room is built from
+     */
+    files(roomId) {
+        var source = this.sourceFor(roomId);
+        return (source && source.files) ? source.files(parseRoomId(roomId).planetId) : [];
+    }
+}
+
+module.exports = {
+    FileSystemSource,
+    GeneratedSource,
+    RoomSourceError,
+    RoomSources,
+    TemplateSource,
+    instanceRoomId,
+    normalizeRoomId,
+    parseRoomId
+};
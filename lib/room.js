@@ -0,0 +1,355 @@
+'use strict';
+
+var EventEmitter = require('events');
+var Physics = require('./physics');
+var PickupTracker = require('./pickup');
+var RoomTimers = require('./timers');
+var RpcDelivery = require('./delivery');
+var SpatialGrid = require('./spatial-grid');
+var TickLoop = require('./tick');
+
+const { buildMessage } = require('./util');
+const { parseRoomId } = require('./room-source');
+const { RpcHandler } = require('./rpc');
+const { Terraformer } = require('./terraform');
+
+/* Grid cell size when no interestRadius is configured */
+const DEFAULT_CELL_SIZE = 50;
+
+/* ms a place is held for a client that never turns up */
+const RESERVATION_TIMEOUT = 30 * 1000;
+
+/**
+ * The live state of a single loaded room, owned by an InterspaceServer
+ *
+ * Events:
+ *  - join(client): emitted when a client enters the room
+ *  - leave(client): emitted when a client leaves the room
+ *  - tick(dt): emitted every tick, after the room's timers
+ *      have run; `dt` is the seconds since the previous one
+ *  - flush(): emitted at the end of every tick, for anything
+ *      batching up messages to send them
+ *  - unload(): emitted right before the room is torn down
+ */
+class Room extends EventEmitter {
+    constructor(server, id) {
+        super();
+
+        this.id = id;
+        this.server = server;
+        this.states = {};
+
+        // `planetId` is the same for every instance of a planet
+        var parsed = parseRoomId(id);
+        this.planetId = parsed.planetId;
+        this.instanceId = parsed.instanceId;
+        this.capacity = server.capacityOf(this.planetId);
+        this._reservations = new Map(); // key -> timer
+
+        // shared by every instance of the planet
+        this.storage = server.storage.acquire(this.planetId);
+
+        // the scripts' timers run off the tick loop
+        this.timers = new RoomTimers();
+        this.ticker = new TickLoop(server.options.tickRate);
+        this.ticker.on('tick', dt => this._tick(dt));
+        this._outbox = []; // messages waiting for the end of the tick
+
+        // the scripts get at the terrain through `interspace.terrain`
+        this.terrain = new Terraformer(this, server.sources);
+        this.rpc = new RpcHandler(this, server.sources, {
+            watch: server.options.watch,
+            // instances start afresh from the planet every time,
+            //  so a reused instance id never inherits a snapshot
+            persistence: this.instanceId ? null : server.persistence,
+            rateLimiter: server.options.rateLimiter,
+            bus: server.bus,
+            modules: server.options.modules
+        });
+        this.pickups = new PickupTracker(this);
+        this.delivery = new RpcDelivery(this);
+
+        var physics = server.options.physics;
+        this.physics = physics ? new Physics(this, physics === true ? {} : physics) : null;
+        if (this.physics) this.physics.start();
+
+        this.ticker.start();
+
+        // where everyone is, for broadcasts with an `origin`
+        this.interestRadius = server.interestRadiusOf(this.planetId);
+        this.grid = new SpatialGrid(this.interestRadius || DEFAULT_CELL_SIZE);
+
+        this._idleTimeout = server.options.roomIdleTimeout;
+        this._idleTimer = null;
+        this._unloaded = false;
+
+        // nobody's here yet
+        this._startIdleTimer();
+    }
+
+    /**
+     * @return The number of clients currently in the room
+     */
+    get memberCount() {
+        return Object.keys(this.states).length;
+    }
+
+    /**
+     * @return The number of clients in the room, or on their way
+     */
+    get occupancy() {
+        return this.memberCount + this._reservations.size;
+    }
+
+    get full() {
+        return this.occupancy >= this.capacity;
+    }
+
+    /**
+     * @return True if the client with the given uuid may join;
+     *  clients with a place reserved always can
+     */
+    canJoin(uuid) {
+        return !!this.states[uuid] || this._reservations.has(uuid) || !this.full;
+    }
+
+    /**
+     * Hold a place in the room for a client that's on its way
+     *
+     * @param key The uuid of the client, if it's known yet
+     * @return The key of the reservation
+     */
+    reserve(key) {
+        key = key || Symbol('reservation');
+        this.release(key);
+
+        var timer = setTimeout(() => this._reservations.delete(key), RESERVATION_TIMEOUT);
+        timer.unref();
+        this._reservations.set(key, timer);
+        return key;
+    }
+
+    /**
+     * Give up a place held by `reserve()`
+     */
+    release(key) {
+        var timer = this._reservations.get(key);
+        if (timer === undefined) return;
+
+        clearTimeout(timer);
+        this._reservations.delete(key);
+    }
+
+    get paused() {
+        return !this.ticker.running;
+    }
+
+    /**
+     * Stop the tick loop; timers, physics and scripts' tick
+     *  handlers won't run until `resume()` is called
+     */
+    pause() {
+        if (this._unloaded) return;
+        this.ticker.stop();
+        this._flushOutbox();
+    }
+
+    resume() {
+        if (this._unloaded) return;
+        this.ticker.start();
+    }
+
+    /**
+     * Add a client to the room
+     */
+    join(client) {
+        if (this.states[client.uuid]) {
+            // joined again without leaving first
+            this.leave(client.uuid);
+        }
+
+        this._stopIdleTimer();
+        this.release(client.uuid);
+        if (client.acks) this.delivery.acks(client.uuid);
+        this.states[client.uuid] = client;
+        this._updateGrid(client);
+        client.on('update', () => this._updateGrid(client));
+        this.emit('join', client);
+    }
+
+    /**
+     * Remove the client with the given uuid from the room
+     */
+    leave(uuid) {
+        var client = this.states[uuid];
+        if (!client) return;
+
+        this.pickups.dropAll(uuid);
+        delete this.states[uuid];
+        this.grid.remove(uuid);
+
+        this.emit('leave', client);
+        client.emit('leave');
+
+        this.rpc.forgetClient(uuid);
+        this.delivery.forget(uuid);
+        client.removeAllListeners();
+
+        if (!this.memberCount) {
+            this._startIdleTimer();
+        }
+    }
+
+    /**
+     * Send a message to every client in the room
+     *
+     * Options:
+     *  - origin: if provided, only clients within `radius`
+     *      of this position receive the message
+     *  - radius: defaults to the room's `interestRadius`
+     *      (see the server option); if neither is set
+     *      everyone receives it
+     */
+    broadcast(msgType, data, options) {
+        var origin = options && options.origin;
+        var radius = (options && options.radius) || this.interestRadius;
+        if (origin && radius) {
+            this.sendTo(this.recipientsOf(options), msgType, data);
+            return;
+        }
+
+        this._publish(buildMessage(this.id, msgType, data), []);
+    }
+
+    /**
+     * Send a message to just the clients with the given uuids
+     */
+    sendTo(uuids, msgType, data) {
+        if (!uuids.length) return;
+        this._publish(buildMessage(this.id, msgType, data), uuids);
+    }
+
+    /**
+     * Send an `rpc` message, reliably or not depending on
+     *  how the function it calls was opened
+     *
+     * @param uuids The clients to send to, or null for everyone
+     * @param options (optional) `{origin, radius}` as for
+     *  `broadcast`, when sending to everyone
+     */
+    sendRpc(uuids, message, options) {
+        this.delivery.send(uuids, message, this.rpc.isUnreliable(message.fn), options);
+    }
+
+    /**
+     * @return The uuids of the clients a broadcast with the given
+     *  options (see `broadcast`) would reach
+     */
+    recipientsOf(options) {
+        var origin = options && options.origin;
+        var radius = (options && options.radius) || this.interestRadius;
+        return (origin && radius) ? this.grid.query(origin, radius) : Object.keys(this.states);
+    }
+
+    _updateGrid(client) {
+        var state = client.state;
+        this.grid.update(client.uuid, state.x, state.y, state.z);
+    }
+
+    _tick(dt) {
+        this.timers.advance(dt * 1000);
+        this.emit('tick', dt);
+        this.emit('flush');
+        this._flushOutbox();
+    }
+
+    /**
+     * Send a message at the end of the current tick, or
+     *  right away if the room isn't ticking
+     */
+    _publish(message, recipients) {
+        if (this.ticker.running) {
+            this._outbox.push({
+                message: message,
+                recipients: recipients
+            });
+            return;
+        }
+
+        this._write(message, recipients);
+    }
+
+    _flushOutbox() {
+        var outbox = this._outbox;
+        this._outbox = [];
+        outbox.forEach(queued => this._write(queued.message, queued.recipients));
+    }
+
+    _write(message, recipients) {
+        var publisher = this.server.broadcastPublisher;
+
+        if (!publisher) {
+            console.warn(
+                'Unitialized broadcastPublisher (message: ' + message + ')'
+            );
+            return;
+        }
+
+        publisher.write({
+            'roomId': this.id,
+            'message': message,
+            'recipients': recipients
+        });
+    }
+
+    /**
+     * Release everything the room holds on to. The room
+     *  must not be used after this is called; use
+     *  InterspaceServer#unloadRoom to also remove it
+     *  from the server.
+     */
+    unload() {
+        if (this._unloaded) return;
+        this._unloaded = true;
+
+        this._stopIdleTimer();
+        this._reservations.forEach(timer => clearTimeout(timer));
+        this._reservations.clear();
+        this.ticker.stop();
+        this.emit('unload');
+        this.rpc.dispose();
+        this.delivery.dispose();
+        if (this.physics) this.physics.stop();
+        this.timers.clear();
+        this._flushOutbox();
+        this.server.storage.release(this.planetId);
+
+        Object.keys(this.states).forEach(uuid => {
+            this.states[uuid].removeAllListeners();
+        });
+        this.states = {};
+        this.removeAllListeners();
+    }
+
+    _startIdleTimer() {
+        if (!this._idleTimeout || this._idleTimer || this._unloaded) return;
+
+        this._idleTimer = setTimeout(() => {
+            this._idleTimer = null;
+            console.log(`Unloading idle room ${this.id}`);
+            this.server.unloadRoom(this.id);
+        }, this._idleTimeout);
+
+        // an idle room shouldn't keep the process alive
+        this._idleTimer.unref();
+    }
+
+    _stopIdleTimer() {
+        if (this._idleTimer) {
+            clearTimeout(this._idleTimer);
+            this._idleTimer = null;
+        }
+    }
+}
+
+module.exports = Room;
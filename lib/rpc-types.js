@@ -1,89 +1,360 @@
-const { Vector3 } = require('./dom');
+const { Quaternion, Vector3, VMElement } = require('./dom');
 
+/**
+ * RPC values travel as JSON. Anything JSON can't carry as-is is
+ *  sent as `[typeName, ...payload]`, where the payload comes from
+ *  the codec registered for `typeName`. A codec is an object with:
+ *  - is(value): true if the codec handles `value`
+ *  - serialize(value, types): the payload, an array of JSON values
+ *  - read(payload, types): `value` back from the payload; should
+ *      throw if the payload is malformed
+ *
+ * Codecs for nested values can use `types.serializeArgs()` and
+ *  `types.readArgs()` to handle whatever they contain.
+ */
+
+class RpcTypeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RpcTypeError';
+    }
+}
+
+const TYPED_ARRAYS = [
+    Int8Array, Uint8Array, Uint8ClampedArray,
+    Int16Array, Uint16Array,
+    Int32Array, Uint32Array,
+    Float32Array, Float64Array
+];
+
+function _check(condition, message) {
+    if (!condition) throw new RpcTypeError(message);
+}
+
+function _readNumbers(types, payload, count) {
+    var numbers = types.readArgs(payload[0]);
+    _check(numbers.length === count && numbers.every(n => typeof(n) === 'number'),
+        `expected ${count} numbers`);
+    return numbers;
+}
+
+function _fromBase64(encoded) {
+    _check(typeof(encoded) === 'string', 'expected base64 data');
+    var bytes = Buffer.from(encoded, 'base64');
+
+    // copy into a buffer of our own; Buffers share a pool
+    var arrayBuffer = new ArrayBuffer(bytes.length);
+    new Uint8Array(arrayBuffer).set(bytes);
+    return arrayBuffer;
+}
+
+/**
+ * Fallbacks for values no registered codec claims
+ */
+const GENERIC_CODECS = {
+    'a': {
+        is: value => Array.isArray(value),
+        serialize: (value, types) => [types.serializeArgs(value)],
+        read: (payload, types) => types.readArgs(payload[0])
+    },
+
+    'o': {
+        is: value => typeof(value) === 'object',
+        serialize: (value, types) => {
+            var keys = Object.keys(value);
+            return [
+                types.serializeArgs(keys),
+                types.serializeArgs(keys.map(key => value[key]))
+            ];
+        },
+        read: (payload, types) => {
+            var keys = types.readArgs(payload[0]);
+            var vals = types.readArgs(payload[1]);
+            _check(keys.length === vals.length, 'keys and values differ in length');
+            _check(keys.every(key => typeof(key) === 'string'), 'keys must be strings');
+
+            // NOTE: defined rather than assigned, so a key
+            //  like `__proto__` is just another key
+            return keys.reduce((obj, key, index) => {
+                Object.defineProperty(obj, key, {
+                    value: vals[index],
+                    enumerable: true,
+                    writable: true,
+                    configurable: true
+                });
+                return obj;
+            }, {});
+        }
+    }
+};
+
+const BUILTIN_CODECS = {
+    'v3': {
+        is: value => value instanceof Vector3,
+        serialize: (value, types) => [types.serializeArgs(value.x, value.y, value.z)],
+        read: (payload, types) => {
+            var vector = _readNumbers(types, payload, 3);
+            return new Vector3(vector[0], vector[1], vector[2]);
+        }
+    },
+
+    'q': {
+        is: value => value instanceof Quaternion,
+        serialize: (value, types) => [types.serializeArgs(value.x, value.y, value.z, value.w)],
+        read: (payload, types) => {
+            var quaternion = _readNumbers(types, payload, 4);
+            return new Quaternion(quaternion[0], quaternion[1], quaternion[2], quaternion[3]);
+        }
+    },
+
+    // ms since the epoch
+    'd': {
+        is: value => value instanceof Date,
+        serialize: value => [value.getTime()],
+        read: payload => {
+            _check(typeof(payload[0]) === 'number' && isFinite(payload[0]), 'expected a timestamp');
+            return new Date(payload[0]);
+        }
+    },
+
+    'm': {
+        is: value => value instanceof Map,
+        serialize: (value, types) => [
+            types.serializeArgs(Array.from(value.keys())),
+            types.serializeArgs(Array.from(value.values()))
+        ],
+        read: (payload, types) => {
+            var keys = types.readArgs(payload[0]);
+            var vals = types.readArgs(payload[1]);
+            _check(keys.length === vals.length, 'keys and values differ in length');
+            return new Map(keys.map((key, index) => [key, vals[index]]));
+        }
+    },
+
+    // [constructor name, base64 of the bytes]
+    'ta': {
+        is: value => TYPED_ARRAYS.some(Type => value instanceof Type),
+        serialize: value => {
+            var Type = TYPED_ARRAYS.filter(Type => value instanceof Type)[0];
+
+            // NOTE: copied, since arrays made by scripts only
+            //  let us at their elements, not their buffer
+            var copy = Type.from(value);
+            return [Type.name, Buffer.from(copy.buffer).toString('base64')];
+        },
+        read: payload => {
+            var Type = TYPED_ARRAYS.filter(Type => Type.name === payload[0])[0];
+            _check(Type, `unknown array type ${payload[0]}`);
+
+            var arrayBuffer = _fromBase64(payload[1]);
+            _check(arrayBuffer.byteLength % Type.BYTES_PER_ELEMENT === 0,
+                `not a whole number of ${Type.name} elements`);
+            return new Type(arrayBuffer);
+        }
+    },
+
+    // [base64 of the bytes]
+    'ab': {
+        is: value => value instanceof ArrayBuffer,
+        serialize: value => {
+            // NOTE: buffers made by scripts only let us at their
+            //  bytes through views made in the script, so ask for one
+            var bytes = new Uint8Array(value);
+            _check(bytes.length === value.byteLength,
+                'ArrayBuffers made by scripts can\'t be sent; send a typed array or DataView of one instead');
+            return [Buffer.from(bytes).toString('base64')];
+        },
+        read: payload => _fromBase64(payload[0])
+    },
+
+    // [base64 of the bytes it views]
+    'dv': {
+        is: value => value instanceof DataView,
+        serialize: value => {
+            var bytes = new Uint8Array(value.byteLength);
+            for (var i = 0; i < bytes.length; i++) {
+                bytes[i] = value.getUint8(i);
+            }
+            return [Buffer.from(bytes).toString('base64')];
+        },
+        read: payload => new DataView(_fromBase64(payload[0]))
+    }
+};
+
+/**
+ * A registry of codecs. Lookups fall back to the `parent`
+ *  registry, so eg: each room's registry can add codecs of
+ *  its own on top of the module-wide ones.
+ */
 class RpcTypes {
-    static nameFor(obj) {
-        if (!obj) return null;
-        if (obj instanceof Vector3) return 'v3';
-        if (Array.isArray(obj)) return 'a';
-        if (typeof(obj) === 'object') return 'o';
-    }
-
-    static read(typeName, serialized) {
-        // NOTE: serialized is the whole array with the type removed
-        switch (typeName) {
-            case 'a':
-                return RpcArguments.read(serialized[0]);
-
-            case 'o':
-                var keys = RpcArguments.read(serialized[0]);
-                var vals = RpcArguments.read(serialized[1]);
-                return keys.reduce((obj, key, index) => {
-                    obj[key] = vals[index];
-                    return obj;
-                }, {});
-
-            case 'v3':
-                var vector = RpcArguments.read(serialized[0]);
-                return new Vector3(vector[0], vector[1], vector[2]);
+    constructor(parent = null) {
+        this.parent = parent;
+        this._codecs = new Map(); // name -> codec, in registration order
+    }
+
+    /**
+     * Add a codec for the type `name`
+     *
+     * @throws Error if a codec for `name` already exists
+     */
+    register(name, codec) {
+        if (typeof(name) !== 'string' || !name) {
+            throw new TypeError('RPC type names must be non-empty strings');
+        }
+        if (this.codecFor(name)) {
+            throw new Error(`RPC type \`${name}\` is already registered`);
         }
+        ['is', 'serialize', 'read'].forEach(fn => {
+            if (!codec || typeof(codec[fn]) !== 'function') {
+                throw new TypeError(`The codec for \`${name}\` needs a \`${fn}\` function`);
+            }
+        });
 
-        throw new Error("Unable to read " + typeName);
+        this._codecs.set(name, codec);
     }
 
-    static serialize(obj) {
-        var typeName = RpcTypes.nameFor(obj);
-        if (!typeName) return obj; // just return it directly
+    /**
+     * @return The codec registered for `name`, or null
+     */
+    codecFor(name) {
+        return this._codecs.get(name) ||
+            (this.parent && this.parent.codecFor(name)) ||
+            GENERIC_CODECS[name] ||
+            null;
+    }
 
-        var result = [typeName];
-        switch (typeName) {
-            case 'a':
-                result.push(RpcArguments.serialize(obj));
-                break;
+    /**
+     * @return The name of the type to send `value` as, or
+     *  null if it can be sent as-is
+     */
+    nameFor(value) {
+        if (!value || typeof(value) !== 'object') return null;
 
-            case 'o':
-                var keys = Object.keys(obj);
-                result.push(RpcArguments.serialize(keys));
-                result.push(RpcArguments.serialize(keys.map(key => {
-                    return obj[key];
-                })));
-                break;
+        var name = this._match(value);
+        if (name) return name;
+        return Array.isArray(value) ? 'a' : 'o';
+    }
 
-            case 'v3':
-                result.push(RpcArguments.serialize(obj.x, obj.y, obj.z));
-                break;
+    /**
+     * Read a value back from its payload
+     *
+     * @throws RpcTypeError if the type is unknown or the
+     *  payload is malformed
+     */
+    read(typeName, payload) {
+        var codec = this.codecFor(typeName);
+        if (!codec) {
+            throw new RpcTypeError(`Unknown RPC type \`${typeName}\``);
+        }
 
-            default:
-                throw new Error("No way to serialize " + obj);
+        try {
+            return codec.read(payload, this);
+        } catch (e) {
+            throw new RpcTypeError(`Malformed \`${typeName}\` value: ${e.message}`);
         }
+    }
+
+    serialize(value) {
+        var typeName = this.nameFor(value);
+        if (!typeName) return value; // just return it directly
 
-        return result;
+        return [typeName].concat(this.codecFor(typeName).serialize(value, this));
     }
-}
 
-class RpcArguments {
-    static read(serializedArgs) {
-        if (!serializedArgs) return [];
+    /**
+     * Read a list of serialized arguments, without
+     *  modifying it
+     *
+     * @throws RpcTypeError if anything in it is malformed
+     */
+    readArgs(serializedArgs) {
+        if (serializedArgs === null || serializedArgs === undefined) return [];
+        _check(Array.isArray(serializedArgs), 'RPC arguments must be an array');
 
-        // just return it directly for now
         return serializedArgs.map(rawArg => {
-            if (!Array.isArray(rawArg)) return rawArg;
-            var typeName = rawArg[0];
-            rawArg.shift();
-            return RpcTypes.read(typeName, rawArg);
+            if (rawArg === null || typeof(rawArg) !== 'object') return rawArg;
+
+            _check(Array.isArray(rawArg) && typeof(rawArg[0]) === 'string',
+                'Objects must be sent as `[typeName, ...payload]`');
+            return this.read(rawArg[0], rawArg.slice(1));
         });
     }
 
-    static serialize(args) {
+    /**
+     * Serialize a list of arguments, given either as an
+     *  array or as separate arguments
+     *
+     * @return The serialized list, or null if it's empty
+     */
+    serializeArgs(args) {
         if (!(arguments.length === 1 && Array.isArray(args))) {
             args = Array.from(arguments);
         }
 
         if (args.length === 0) return null;
-        return args.map(RpcTypes.serialize);
+        return args.map(arg => this.serialize(arg));
+    }
+
+    _match(value) {
+        for (let entry of this._codecs) {
+            if (entry[1].is(value)) return entry[0];
+        }
+        return this.parent ? this.parent._match(value) : null;
+    }
+
+    static nameFor(value) {
+        return types.nameFor(value);
+    }
+
+    static read(typeName, payload) {
+        return types.read(typeName, payload);
+    }
+
+    static serialize(value) {
+        return types.serialize(value);
+    }
+}
+
+/**
+ * Codec sending elements of a room's document by id
+ *
+ * @param getDocument Returns the document to look them up in
+ */
+function elementCodec(getDocument) {
+    return {
+        is: value => value instanceof VMElement,
+        serialize: value => {
+            _check(value.id, `Only elements with an id can be sent (${value})`);
+            return [value.id];
+        },
+        read: payload => {
+            var document = getDocument();
+            var element = document && typeof(payload[0]) === 'string' &&
+                document.getElementById(payload[0]);
+            _check(element, `no element with id ${payload[0]}`);
+            return element;
+        }
+    };
+}
+
+/* The module-wide registry */
+const types = new RpcTypes();
+Object.keys(BUILTIN_CODECS).forEach(name => types.register(name, BUILTIN_CODECS[name]));
+
+class RpcArguments {
+    static read(serializedArgs) {
+        return types.readArgs(serializedArgs);
+    }
+
+    static serialize() {
+        return types.serializeArgs.apply(types, arguments);
     }
 }
 
 module.exports = {
+    RpcArguments,
+    RpcTypeError,
     RpcTypes,
-    RpcArguments
-};
\ No newline at end of file
+    elementCodec,
+    types
+};
@@ -3,88 +3,77 @@
  */
 
 var EventEmitter = require('events');
-var fs = require('fs');
-var path = require('path');
 var Promise = require('promise');
-var readFile = Promise.denodeify(fs.readFile);
-var roomValidator = require('./room-validator');
+var DocumentPersister = require('./persistence').DocumentPersister;
+var DomPatchBatcher = require('./dom-patch');
+var FileWatcher = require('./watcher');
 
 const { VM } = require('vm2');
 const {
     getDocument$,
     AudioClip,
     CollisionList,
+    Quaternion,
     Ray,
     Vector3,
     VMDocument,
     VMWindow,
+    setDocumentHooks,
 } = require('./dom');
-const { RpcArguments } = require('./rpc-types');
+const { RpcTypes, elementCodec, types } = require('./rpc-types');
+const { RoomWorldChannel, WorldBus } = require('./world-bus');
+const { ModuleLoader, toCommonJs } = require('./modules');
+const { buildLimiterConfig, createDefaultLimiter } = require('./rate-limit');
 
-class GlobalRateLimiter {
+/* The only source ever run to invoke a server function */
+const RUN_PENDING_SCRIPT = 'interspace.__internal._runPending()';
 
-    constructor(config) {
-        this.config = config;
-    }
-
-    /**
-     * @return True if the limiter allows the rpc call
-     */
-    allows( /* sender, rpcArgs */ ) {
-        var rpcConfig = this.config;
-        var now = Date.now();
-        if (!this.last || now - this.last > 1000) {
-            // first call, or clean new window
-            this.last = now;
-            this.calls = 1;
-        } else if (++this.calls > rpcConfig.maxRate) {
-            // you've gone too far!
-            return false;
-        }
-
-        // if we make it here, they're good to go
-        return true;
-    }
-
-}
-
-class PerUserRateLimiter {
-
-    constructor(config) {
-        this.config = config;
-        this.clients = {};
+/**
+ * Why an RPC call didn't produce a result. `code` is one of:
+ *  - UNKNOWN_ROOM: the room isn't (or is no longer) loaded
+ *  - INVALID_ARGUMENTS: the arguments couldn't be decoded
+ *  - INVALID_TARGET: the call wasn't `on` the server
+ *  - UNKNOWN_SENDER: the sender isn't in the room
+ *  - UNKNOWN_FUNCTION: no such function has been opened
+ *  - RATE_LIMITED: the sender is calling too often
+ *  - SCRIPT_ERROR: the function threw (or its Promise rejected)
+ *  - TIMEOUT: the function took too long
+ */
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
     }
 
-    /**
-     * @return True if the limiter allows the rpc call
-     */
-    allows(sender, rpcArgs) {
-        // basically just build a separate limiter per user and evaluate against it
-        var userLimiter = this.clients[sender.uuid];
-        if (!userLimiter) {
-            userLimiter = this.clients[sender.uuid] = new GlobalRateLimiter(this.config);
+    static fromScriptError(e) {
+        var message = (e && e.message) || String(e);
+        if (e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return new RpcError('TIMEOUT', message);
         }
-
-        return userLimiter.allows(sender, rpcArgs);
+        return new RpcError('SCRIPT_ERROR', message);
     }
 }
 
+/**
+ * Events:
+ *  - move(): the client's transform changed
+ *  - leave(): the client left the room
+ */
 class VMClient extends EventEmitter {
     constructor(realClient) {
         super();
         this.run = function run(fnName) {
             var args = Array.from(arguments);
             args.shift(); // pop off `fn`
-            realClient.send('rpc', {
-                fn: fnName,
-                on: 'clients',
-                args: RpcArguments.serialize(args)
-            });
+            realClient.room.sendRpc([realClient.uuid], _clientRpcMessage(realClient.room, fnName, args));
         };
 
-        realClient.on('leave', () => {
-            this.emit('leave');
-        });
+        // send the client to another room; resolves to the id
+        //  of the room (or instance) it's sent to
+        this.transfer = function transfer(roomId) {
+            return realClient.room.server.transferClient(realClient, roomId);
+        };
 
         Object.defineProperties(this, {
             id: {
@@ -92,6 +81,16 @@ class VMClient extends EventEmitter {
                 enumerable: true
             },
 
+            displayName: {
+                get: () => realClient.metadata.displayName,
+                enumerable: true
+            },
+
+            avatar: {
+                get: () => realClient.metadata.avatar,
+                enumerable: true
+            },
+
             position: {
                 get: () => new Vector3(
                     realClient.state.x,
@@ -99,38 +98,258 @@ class VMClient extends EventEmitter {
                     realClient.state.z),
                 enumerable: true
             },
+
+            rotation: {
+                get: () => new Vector3(
+                    realClient.state.rotationX,
+                    realClient.state.rotation,
+                    realClient.state.rotationZ),
+                enumerable: true
+            },
+
+            velocity: {
+                get: () => new Vector3(
+                    realClient.state.vx,
+                    realClient.state.vy,
+                    realClient.state.vz),
+                enumerable: true
+            },
+
+            // ms timestamp of the last transform change
+            updatedAt: {
+                get: () => realClient.state.updatedAt,
+                enumerable: true
+            },
+
+            // free-form values, eg: `client.data.team = 'red'`
+            data: {
+                get: () => realClient.data,
+                enumerable: true
+            },
+        });
+    }
+}
+
+/**
+ * Build the `rpc` message that runs `fnName(args...)` on clients
+ */
+function _clientRpcMessage(room, fnName, args) {
+    return {
+        fn: fnName,
+        on: 'clients',
+        args: room.rpc.types.serializeArgs(args)
+    };
+}
+
+/**
+ * A subset of the clients in a room, as picked by
+ *  eg: `clients.except(id)` or `clients.near(position, radius)`
+ */
+class VMClientGroup {
+
+    /**
+     * @param near (optional) `{origin, radius}` the group was
+     *  picked with; calls to it then reach whoever's in range
+     *  when they're sent, like broadcasts with an origin
+     */
+    constructor(room, ids, near) {
+        // NOTE: We define like this to avoid leaking a reference
+        // to the room object
+        this.run = function run(fnName) {
+            var args = Array.from(arguments);
+            args.shift(); // pop off `fnName`
+            if (!ids.length) return;
+            var message = _clientRpcMessage(room, fnName, args);
+            if (near) {
+                room.sendRpc(null, message, near);
+            } else {
+                room.sendRpc(ids, message);
+            }
+        };
+
+        this.except = function except(clientOrId) {
+            var excluded = _idsOf(clientOrId);
+            return new VMClientGroup(room, ids.filter(id => excluded.indexOf(id) === -1));
+        };
+
+        Object.defineProperties(this, {
+            ids: {
+                get: () => ids.slice(),
+                enumerable: true
+            },
+            count: {
+                get: () => ids.length,
+                enumerable: true
+            },
         });
     }
+
 }
 
+/**
+ * @return The ids of a client, a client id, or an array of either
+ */
+function _idsOf(clientOrId) {
+    if (Array.isArray(clientOrId)) {
+        return clientOrId.map(item => _idsOf(item)[0]);
+    }
+    return [(clientOrId && typeof(clientOrId) === 'object') ? clientOrId.id : clientOrId];
+}
+
+/**
+ * @return The API scripts use a StorageNamespace through
+ */
+function _storageApi(namespace) {
+    // NOTE: We define like this to avoid leaking a reference
+    // to the storage
+    return {
+        get: function get(key) {
+            return namespace.get(key);
+        },
+        set: function set(key, value) {
+            return namespace.set(key, value);
+        },
+        delete: function (key) {
+            return namespace.delete(key);
+        },
+        list: function list(prefix) {
+            return namespace.list(prefix);
+        },
+        increment: function increment(key, by) {
+            return namespace.increment(key, by);
+        }
+    };
+}
+
+/* VMClients -> {wrap, clear}; kept out of the VM */
+let ClientsInternals = new WeakMap();
+
+/**
+ * @return The VMClient for a real client, as seen by `clients`
+ */
+function _wrapClient(clients, realClient) {
+    return ClientsInternals.get(clients).wrap(realClient);
+}
+
+/**
+ * Emit an event on behalf of the host; a throwing
+ *  script handler shouldn't take the server down
+ */
+function _emitSafely(emitter, eventName) {
+    try {
+        emitter.emit.apply(emitter, Array.from(arguments).slice(1));
+    } catch (e) {
+        console.error(`ERROR in ${eventName} handler:`);
+        console.error(e.stack);
+    }
+}
+
+/**
+ * Events:
+ *  - join(client): a client entered the room
+ *  - leave(client): a client left the room
+ */
 class VMClients extends EventEmitter {
 
     constructor(interspaceModule, room) {
         super();
         this.type = 'clients';
 
+        // one VMClient per real client, so scripts can hold on
+        //  to them and listeners don't pile up
+        var cache = new Map(); // uuid -> {realClient, client, onLeave, onUpdate}
+        var wrap = realClient => {
+            var cached = cache.get(realClient.uuid);
+            if (cached && cached.realClient === realClient) return cached.client;
+
+            var client = new VMClient(realClient);
+            var onLeave = () => {
+                cache.delete(realClient.uuid);
+                realClient.removeListener('update', onUpdate);
+                _emitSafely(client, 'leave');
+            };
+            var onUpdate = () => {
+                _emitSafely(client, 'move');
+            };
+            realClient.once('leave', onLeave);
+            realClient.on('update', onUpdate);
+            cache.set(realClient.uuid, {
+                realClient: realClient,
+                client: client,
+                onLeave: onLeave,
+                onUpdate: onUpdate
+            });
+            return client;
+        };
+        ClientsInternals.set(this, {
+            wrap: wrap,
+            clear: () => {
+                cache.forEach(cached => {
+                    cached.realClient.removeListener('leave', cached.onLeave);
+                    cached.realClient.removeListener('update', cached.onUpdate);
+                });
+                cache.clear();
+            }
+        });
+
         // NOTE: We define like this to avoid leaking a reference
         // to the room object
         this.byId = function byId(id) {
-            // TODO reuse the VMClient instance
-            return new VMClient(room.states[id]);
+            var client = room.states[id];
+            return client ? wrap(client) : null;
+        };
+        this.all = function all() {
+            return Object.keys(room.states).map(id => wrap(room.states[id]));
+        };
+        this.except = function except(clientOrId) {
+            return new VMClientGroup(room, Object.keys(room.states)).except(clientOrId);
+        };
+        this.near = function near(position, radius) {
+            if (radius === undefined) radius = room.interestRadius;
+            if (typeof(radius) !== 'number' || radius <= 0 || isNaN(radius)) {
+                throw new TypeError('clients.near() needs a radius, unless the room has an interestRadius');
+            }
+
+            // copied, as eg: an element's position changes with it
+            var origin = {
+                x: +(position && position.x),
+                y: +(position && position.y),
+                z: +(position && position.z)
+            };
+            if (!isFinite(origin.x) || !isFinite(origin.y) || !isFinite(origin.z)) {
+                throw new TypeError('clients.near() needs a position with x, y and z');
+            }
+
+            var options = {
+                origin: origin,
+                radius: radius
+            };
+            return new VMClientGroup(room, room.recipientsOf(options), options);
         };
         this.run = function run(fnName) {
             var args = Array.from(arguments);
             args.shift(); // pop off `fnName`
-            room.broadcast('rpc', {
-                fn: fnName,
-                on: 'clients',
-                args: RpcArguments.serialize(args)
-            });
+            room.sendRpc(null, _clientRpcMessage(room, fnName, args));
         };
 
         this.open = interspaceModule.__internal.open.bind(interspaceModule.__internal, this);
 
+        Object.defineProperty(this, 'count', {
+            get: () => Object.keys(room.states).length,
+            enumerable: true
+        });
+
         interspaceModule.clients = this;
     }
 }
 
+/**
+ * Events:
+ *  - tick(dt): the room ticked; `dt` is the seconds since the last one
+ *  - terraform(event), pickup(event), drop(event): vetoable with
+ *      `event.preventDefault()`
+ *  - unload(): the room's scripts are going away
+ */
 class VMServer extends EventEmitter {
 
     constructor(interspaceModule) {
@@ -142,22 +361,32 @@ class VMServer extends EventEmitter {
         // NOTE: We define like this to avoid leaking a reference
         // to the interspaceModule object
         this.run = function run(fnName) {
-            var fn = interspaceModule.__internal.registeredFunctions.server[fnName];
+            var rpcInfo = interspaceModule.__internal.registeredFunctions.server[fnName];
             var args = Array.from(arguments);
             args.shift(); // pop off `fnName`
-            fn.apply(fn, args);
+            return rpcInfo.fn.apply(rpcInfo.fn, args);
         };
 
+        interspaceModule.server = this;
     }
 }
 
 class InternalInterspaceModule {
 
-    constructor() {
+    /**
+     * @param createLimiter `(config, name, shared)` returning the
+     *  rate limiter for a function (see rate-limit.js)
+     */
+    constructor(createLimiter) {
         this.registeredFunctions = {
             clients: {},
             server: {}
         };
+        this._createLimiter = createLimiter || createDefaultLimiter;
+        this._limiterState = {}; // shared by the room's limiters
+
+        // the server call VMGlobal#run is about to make
+        this._pending = null;
     }
 
     open(src, name, opts, fn) {
@@ -174,7 +403,7 @@ class InternalInterspaceModule {
             } else {
                 // {opts}, fn
                 fn = opts;
-                opts = undefined;
+                opts = name;
                 name = fn.name;
             }
         }
@@ -183,137 +412,407 @@ class InternalInterspaceModule {
             throw new Error("You must provide either a name string or a named function; got `" + JSON.stringify(name) + "`" + "; " + opts + "; " + fn);
         }
 
-        // NOTE: we could potentially let clients provide
-        //  their own rate limiter...
         var config = this._buildConfig(opts);
         this.registeredFunctions[src.type][name] = {
             config: config,
-            limiter: new PerUserRateLimiter(config),
+            limiter: this._createLimiter(config, name, this._limiterState),
             fn: fn
         };
 
         return src.run.bind(src, name);
     }
 
+    /**
+     * Invoke the server function staged by VMGlobal#run. This
+     *  is called from inside the VM so its timeout applies.
+     */
+    _runPending() {
+        var call = this._pending;
+        this._pending = null;
+        if (!call) return;
+
+        var rpcInfo = this.registeredFunctions.server[call.fn];
+        return rpcInfo.fn.apply({ sender: call.sender }, call.args);
+    }
+
+    /**
+     * Drop any rate limiting state kept for a client
+     */
+    forgetClient(uuid) {
+        Object.keys(this.registeredFunctions).forEach(type => {
+            var functions = this.registeredFunctions[type];
+            Object.keys(functions).forEach(name => {
+                var limiter = functions[name].limiter;
+                if (limiter.forget) limiter.forget(uuid);
+            });
+        });
+    }
+
     _buildConfig(opts) {
         var config = {
-            maxRate: 5,
+            timeout: 5000, // ms a returned Promise may take to settle
             unreliable: false
         };
         if (opts) Object.assign(config, opts);
-        return config;
+        return buildLimiterConfig(config);
     }
 }
 
 class InterspaceModule {
-    constructor() {
-        this.__internal = new InternalInterspaceModule();
+    /**
+     * Options:
+     *  - rateLimiter: see InternalInterspaceModule
+     *  - types: the room's RpcTypes, for `interspace.types.register()`
+     *  - world: the room's RoomWorldChannel, for `interspace.world`
+     *  - terrain: the room's Terraformer, for `interspace.terrain`
+     */
+    constructor(options) {
+        this.__internal = new InternalInterspaceModule(options && options.rateLimiter);
+
+        var types = options && options.types;
+        this.types = {
+            register: function register(name, codec) {
+                types.register(name, codec);
+            }
+        };
+
+        var world = options && options.world;
+        this.world = {
+            publish: function publish(topic, data) {
+                world.publish(topic, data);
+            },
+            subscribe: function subscribe(topic, fn) {
+                return world.subscribe(topic, fn);
+            }
+        };
+
+        var storage = options && options.storage;
+        this.storage = storage ? _storageApi(storage.namespace('room/')) : null;
+        if (this.storage) {
+            this.storage.player = function player(clientOrId) {
+                var id = _idsOf(clientOrId)[0];
+                if (typeof(id) !== 'string' || !id) {
+                    throw new TypeError('Expected a client or client id');
+                }
+                return _storageApi(storage.namespace(`player/${id}/`));
+            };
+        }
+
+        var terrain = options && options.terrain;
+        this.terrain = terrain ? {
+            list: function list() {
+                return terrain.list();
+            }
+        } : null;
     }
 }
 
 class VMGlobal {
-    constructor(handler, room, staticPath) {
+    constructor(handler, room) {
         var self = this;
         this.room = room;
-        this.staticPath = staticPath;
+        this._sources = handler.sources;
+        this._persister = handler.persister;
+        this._moduleOptions = handler.options.modules;
+
+        // codecs registered by the scripts go away with them
+        this.types = new RpcTypes(types);
+        this.types.register('el', elementCodec(() => this.public.document));
 
-        var interspaceModule = new InterspaceModule();
+        // so are their subscriptions
+        this.world = new RoomWorldChannel(handler.options.bus || new WorldBus(), room);
+
+        var interspaceModule = new InterspaceModule({
+            rateLimiter: handler.options.rateLimiter,
+            types: this.types,
+            world: this.world,
+            storage: room.storage,
+            terrain: room.terrain
+        });
         var consolePrefix = `JS(${room.id})>`;
+        var timers = this.timers = room.timers;
         this.public = {
             clients: new VMClients(interspaceModule, room),
             server: new VMServer(interspaceModule),
             document: null, // to be filled in setDocumentXml
-            window: new VMWindow(room, staticPath),
+            window: new VMWindow(room.id, timers),
             console: {
                 log: console.log.bind(console, consolePrefix),
                 warn: console.warn.bind(console, consolePrefix),
             },
             interspace: interspaceModule,
-            setTimeout: setTimeout,
-            clearTimeout: clearTimeout,
-            setInterval: setInterval,
-            clearInterval: clearInterval,
+            require: null, // to be filled in setDocumentXml
+            setTimeout: timers.setTimeout,
+            clearTimeout: timers.clearTimeout,
+            setInterval: timers.setInterval,
+            clearInterval: timers.clearInterval,
             showMessage: function showMessage(text /* , duration=2500 */ ) {
                 console.log(consolePrefix + "Message> ", text);
             },
 
             AudioClip: AudioClip,
             CollisionList: CollisionList,
-            Ray: Ray,
+            Ray: Ray.bindTo(() => this.public.document),
             Vector3: Vector3,
+            Quaternion: Quaternion,
 
             player: null,
         };
 
         // init'd later once document is ready
         this._vm = null;
+        this._patches = null;
 
-        room.on('join', client => {
+        // paths of the external scripts the document references
+        this.sources = [];
+
+        this._onJoin = client => {
             // don't emit the event until the scripts have loaded
             handler.loaded().then(() => {
-                self.public.clients.emit('join', new VMClient(client));
+                self.emitJoin(client);
             });
-        });
+        };
+        room.on('join', this._onJoin);
+
+        // NOTE: unlike join this can't wait for loading; the
+        //  client is gone by then
+        this._onLeave = client => {
+            self.emitLeave(client);
+        };
+        room.on('leave', this._onLeave);
+
+        this._onTick = dt => {
+            if (!this._vm) return;
+            this.world.deliver();
+            this._emitSafely(this.public.server, 'tick', dt);
+        };
+        room.on('tick', this._onTick);
+    }
+
+    /**
+     * Offer terraform instructions to the scripts, which
+     *  may veto them by calling `event.preventDefault()`
+     *
+     * @return True if the instructions may be applied
+     */
+    emitTerraform(instructions) {
+        if (!this._vm) return true;
+
+        var vetoed = false;
+        var event = {
+            instructions: instructions.map(instruction => Object.assign({}, instruction)),
+            preventDefault: () => {
+                vetoed = true;
+            }
+        };
+
+        this._emitSafely(this.public.server, 'terraform', event);
+        return !vetoed;
+    }
+
+    /**
+     * Let the scripts know that a client wants to pick up an
+     *  element. The `pickup` event is emitted on both the element
+     *  and `server`; either may veto it with `event.preventDefault()`
+     *
+     * @return True if the pickup may go ahead
+     */
+    emitPickup(element, uuid) {
+        if (!this._vm) return true;
+
+        var vetoed = false;
+        var event = {
+            element: element,
+            client: this._clientFor(uuid),
+            preventDefault: () => {
+                vetoed = true;
+            }
+        };
+
+        this._emitSafely(element, 'pickup', event);
+        this._emitSafely(this.public.server, 'pickup', event);
+        return !vetoed;
+    }
+
+    /**
+     * Let the scripts know that a client dropped an element
+     */
+    emitDrop(element, uuid) {
+        if (!this._vm) return;
+
+        var event = {
+            element: element,
+            client: this._clientFor(uuid)
+        };
+
+        this._emitSafely(element, 'drop', event);
+        this._emitSafely(this.public.server, 'drop', event);
+    }
+
+    _clientFor(uuid) {
+        var client = this.room.states[uuid];
+        return client ? _wrapClient(this.public.clients, client) : null;
+    }
+
+    _emitSafely(emitter, eventName, event) {
+        try {
+            emitter.emit(eventName, event);
+        } catch (e) {
+            console.error(`ERROR in ${eventName} handler for ${this.room.id}:`);
+            console.error(e.stack);
+        }
+    }
+
+    /**
+     * Let the scripts know that the given client has joined
+     */
+    emitJoin(client) {
+        if (!this._vm) return; // disposed while loading
+        if (this.room.states[client.uuid] !== client) return; // already gone
+        this._emitSafely(this.public.clients, 'join', _wrapClient(this.public.clients, client));
+    }
+
+    /**
+     * Let the scripts know that the given client has left
+     */
+    emitLeave(client) {
+        if (!this._vm) return;
+        this._emitSafely(this.public.clients, 'leave', _wrapClient(this.public.clients, client));
+    }
+
+    /**
+     * Let the scripts know they're going away, then cancel
+     *  everything they scheduled and drop the VM
+     */
+    dispose() {
+        this._emitSafely(this.public.server, 'unload');
+
+        this.room.removeListener('join', this._onJoin);
+        this.room.removeListener('leave', this._onLeave);
+        this.room.removeListener('tick', this._onTick);
+        this.world.dispose();
+        ClientsInternals.get(this.public.clients).clear();
+        this.timers.clear();
+        if (this._patches) this._patches.dispose();
+        this.public.clients.removeAllListeners();
+        this.public.server.removeAllListeners();
+        this.public.document = null;
+        this._vm = null;
     }
 
     /**
      * Run the given function with the given arguments in the shared VM
      */
     run(sender, fn, args) {
-        var argsAsString = RpcHandler.readArgsToString(args);
-        var argsPrefix = "";
-        if (argsAsString) {
-            argsPrefix = ", ";
+        var argsList;
+        try {
+            argsList = this.types.readArgs(args);
+        } catch (e) {
+            return Promise.reject(new RpcError('INVALID_ARGUMENTS', e.message));
         }
 
-        var call = "interspace.__internal.registeredFunctions.server" +
-            `["${fn}"].fn.call(` +
-            `{sender: interspace.clients.byId("${sender.uuid}")}` +
-            `${argsPrefix}${argsAsString})`;
+        // NOTE: the arguments and sender are handed over as values,
+        //  never as source, so nothing a client sends can become code
+        var internal = this.public.interspace.__internal;
+        internal._pending = {
+            fn: fn,
+            sender: this.public.clients.byId(sender.uuid),
+            args: argsList
+        };
+
+        var result;
         try {
-            this._vm.run(call);
+            result = this._vm.run(RUN_PENDING_SCRIPT);
         } catch (e) {
-            console.error(`ERROR invoking RPC call ${fn}(${argsAsString}):`);
+            console.error(`ERROR invoking RPC call ${fn}(${JSON.stringify(argsList)}):`);
             console.error(e.stack);
+            return Promise.reject(RpcError.fromScriptError(e));
+        } finally {
+            internal._pending = null;
         }
+
+        // the function may also have returned a Promise
+        return Promise.resolve(result).then(null, e => {
+            console.error(`ERROR in RPC call ${fn}(${JSON.stringify(argsList)}):`);
+            console.error(e && e.stack || e);
+            throw RpcError.fromScriptError(e);
+        });
     }
 
     registeredFunction(type, name) {
-        return this.public.interspace.__internal.registeredFunctions[type][name];
+        var functions = this.public.interspace.__internal.registeredFunctions[type];
+        if (!functions || !Object.prototype.hasOwnProperty.call(functions, name)) {
+            return null;
+        }
+        return functions[name];
     }
 
     setDocumentXml(xmlData) {
+        var self = this;
         var room = this.room;
         var doc = this.public.document = new VMDocument(xmlData);
         var $ = getDocument$(doc);
+        var persister = this._persister;
+        var patches = this._patches = new DomPatchBatcher(room, $);
+        setDocumentHooks(doc, {
+            mutated: mutation => {
+                patches.record(mutation);
+                if (room.physics) room.physics.mutated(mutation);
+                if (persister) persister.schedule(doc);
+            },
+            save: persister ? () => persister.save(doc) : null,
+            holder: id => {
+                var uuid = room.pickups.holderOf(id);
+                return uuid ? this._clientFor(uuid) : null;
+            },
+            impulse: room.physics ? (node, vector) => room.physics.impulse(node, vector) : null
+        });
         var scripts = $('script');
+        var sources = this._sources;
+
+        // the modules scripts require are cached until they reload
+        var modules = new ModuleLoader(room, sources, (source, filename) => vm.run(source, filename), {
+            'interspace': this.public.interspace,
+            'interspace/math': {
+                Quaternion: Quaternion,
+                Vector3: Vector3
+            }
+        }, Object.assign({}, this._moduleOptions, {
+            onLoad: filePath => {
+                if (self.sources.indexOf(filePath) === -1) self.sources.push(filePath);
+            }
+        }));
+        this.public.require = modules.require;
+
         var vm = this._vm = new VM({
             timeout: 2000,
             require: false,
             sandbox: this.public
         });
 
-        // yuck? yuck
-        var documentDir = path.parse(
-            roomValidator.pathToPlanetFromRoom(room.id, this.staticPath)
-        ).dir + '/';
-
         var tasks = scripts.map(function() {
             var el = $(this);
             var src = el.attr('src');
             if (src) {
-                var path = documentDir + src;
-                return readFile(path, 'utf8')
+                try {
+                    var scriptPath = sources.resolve(room.id, src);
+                    if (scriptPath) self.sources.push(scriptPath);
+                } catch (e) {
+                    return Promise.reject(e);
+                }
+
+                return sources.readFile(room.id, src)
                     .then((data) => {
+                        if (self._vm !== vm) return false; // disposed
                         var javascript = data.toString();
                         console.log("RUN FROM", src);
-                        vm.run(javascript, src);
+                        vm.run(toCommonJs(javascript, { exports: false }), src);
                         return true;
                     });
             } else {
                 var javascript = el.text();
                 return new Promise((resolve) => {
-                    vm.run(javascript, room);
+                    vm.run(toCommonJs(javascript, { exports: false }), room);
                     resolve(true);
                 });
             }
@@ -325,12 +824,50 @@ class VMGlobal {
 
 class RpcHandler {
 
-    constructor(room, staticPath) {
+    /**
+     * @param sources The RoomSources to load the room from
+     *
+     * Options:
+     *  - watch: reload the room's scripts when the planet
+     *      file or any of its scripts change on disk; a changed
+     *      planet file replaces any saved snapshot of it
+     *  - persistence: if provided, `{store, delay}` used to
+     *      save changes to the document (see persistence.js)
+     *  - rateLimiter: if provided, creates the rate limiters
+     *      for RPC functions (see rate-limit.js)
+     *  - bus: the WorldBus the scripts talk to other rooms
+     *      through; without one they only hear themselves
+     *  - modules: options of the scripts' `require()` (see
+     *      modules.js)
+     */
+    constructor(room, sources, options) {
         this.room = room;
-        this.staticPath = staticPath;
+        this.sources = sources;
+        this.options = Object.assign({
+            watch: false,
+            persistence: null,
+            rateLimiter: null,
+            bus: null,
+            modules: null
+        }, options);
+
+        this.persister = null;
+        if (this.options.persistence) {
+            this.persister = new DocumentPersister(room.id, this.options.persistence);
+        }
+
+        this._watcher = null;
+        if (this.options.watch) {
+            this._watcher = new FileWatcher(changed => {
+                var planetFiles = this.sources.files(room.id);
+                this.reload({
+                    fromSource: changed.some(filePath => planetFiles.indexOf(filePath) !== -1)
+                });
+            });
+        }
 
+        this._global = new VMGlobal(this, room);
         this._promise = this._loadFunctions();
-        this._global = new VMGlobal(this, room, staticPath);
     }
 
     /**
@@ -342,66 +879,218 @@ class RpcHandler {
         return this._promise;
     }
 
+    /**
+     * The room's live VMDocument (null until loaded)
+     */
+    get document() {
+        return this._global.public.document;
+    }
+
+    /**
+     * The RpcTypes used to send values to and from the room's scripts
+     */
+    get types() {
+        return this._global.types;
+    }
+
+    /**
+     * @return True if calls to the client function `fnName`
+     *  may be dropped or coalesced
+     */
+    isUnreliable(fnName) {
+        var rpcInfo = this._global.registeredFunction('clients', fnName);
+        return !!(rpcInfo && rpcInfo.config.unreliable);
+    }
+
+    /**
+     * Drop any per-client state kept for the client
+     */
+    forgetClient(uuid) {
+        this._global.public.interspace.__internal.forgetClient(uuid);
+    }
+
+    /**
+     * @see VMGlobal#emitTerraform
+     */
+    emitTerraform(instructions) {
+        return this._global.emitTerraform(instructions);
+    }
+
+    /**
+     * @see VMGlobal#emitPickup
+     */
+    emitPickup(element, uuid) {
+        return this._global.emitPickup(element, uuid);
+    }
+
+    /**
+     * @see VMGlobal#emitDrop
+     */
+    emitDrop(element, uuid) {
+        this._global.emitDrop(element, uuid);
+    }
+
+    /**
+     * Tear down the room's VM. No more calls will be
+     *  invoked after this.
+     */
+    dispose() {
+        this._disposed = true;
+        if (this._watcher) this._watcher.close();
+        this._global.dispose();
+        if (this.persister) this.persister.flush();
+    }
+
+    /**
+     * Throw away the current VM and load the room's
+     *  scripts into a fresh one. Clients already in the
+     *  room are re-announced with `join` so the scripts
+     *  can rebuild their state.
+     *
+     * Options:
+     *  - fromSource: load the document from the room's source,
+     *      eg: after its planet file changed, rather than from
+     *      the saved snapshot (which it then replaces)
+     *
+     * @return A Promise that resolves when the reload is done
+     */
+    reload(options) {
+        if (this._disposed) return this._promise;
+
+        var room = this.room;
+        console.log("RELOAD", room.id);
+
+        this._global.dispose();
+        var global = this._global = new VMGlobal(this, room);
+        this._promise = this._loadFunctions(!!(options && options.fromSource));
+
+        return this._promise.then(() => {
+            Object.keys(room.states).forEach(uuid => {
+                global.emitJoin(room.states[uuid]);
+            });
+        });
+    }
+
     /**
      * @param sender The Client who requested the RPC
      * @param args The RPC arguments
+     * @return A Promise resolving to the function's return
+     *  value, or rejecting with an RpcError
      */
     invoke(sender, args) {
+        // NOTE: whatever the client sent, eg: `null`
+        if (!args || typeof(args) !== 'object' || Array.isArray(args)) {
+            console.warn('DROP: malformed RPC call');
+            return Promise.reject(new RpcError('INVALID_ARGUMENTS', 'RPC calls must be objects'));
+        }
+
+        var drop = (code, reason) => {
+            console.warn(`DROP ${args.on}.${args.fn}: ${reason}`);
+            return Promise.reject(new RpcError(code, `${args.on}.${args.fn}: ${reason}`));
+        };
+
+        if (this._disposed) {
+            return drop('UNKNOWN_ROOM', 'room unloaded');
+        }
+
         // validate the target
         if (args.on !== 'server') {
-            console.warn(`DROP ${args.on}.${args.fn}: invalid execution target ${args.on}`);
-            return;
+            return drop('INVALID_TARGET', `invalid execution target ${args.on}`);
         }
 
         // fetch the function info (and make sure it exists)
         var rpcInfo = this._global.registeredFunction(args.on, args.fn);
         if (!rpcInfo) {
-            console.warn(`DROP ${args.on}.${args.fn}: unknown`);
-            return;
+            return drop('UNKNOWN_FUNCTION', 'unknown');
+        }
+
+        // only members of the room may call, and get rate limited
+        if (!this.room.states[sender.uuid]) {
+            return drop('UNKNOWN_SENDER', `${sender.uuid} is not in the room`);
         }
 
         // validate against rpcConfig
         if (!rpcInfo.limiter.allows(sender, args)) {
-            console.warn(`DROP ${args.on}.${args.fn}: rate limiter`);
-            return;
+            return drop('RATE_LIMITED', 'rate limiter');
         }
 
         // LGTM!
-        this._global.run(sender, args.fn, args.args);
+        return this._withTimeout(
+            this._global.run(sender, args.fn, args.args),
+            rpcInfo.config.timeout,
+            `${args.on}.${args.fn}`
+        );
+    }
+
+    _withTimeout(promise, timeout, name) {
+        if (!timeout) return promise;
+
+        return new Promise((resolve, reject) => {
+            var timer = setTimeout(() => {
+                reject(new RpcError('TIMEOUT', `${name} did not finish within ${timeout}ms`));
+            }, timeout);
+
+            promise.then(result => {
+                clearTimeout(timer);
+                resolve(result);
+            }, err => {
+                clearTimeout(timer);
+                reject(err);
+            });
+        });
     }
 
-    _loadFunctions() {
+    /**
+     * @param fromSource True to ignore any saved snapshot
+     */
+    _loadFunctions(fromSource) {
         var self = this;
+        var global = this._global;
         var room = this.room.id;
+        var sources = this.sources;
+        var persister = this.persister;
+
+        // true if we were disposed or reloaded while loading
+        var stale = () => self._disposed || self._global !== global;
+
+        // prefer the last saved snapshot of the document, if any
+        var source = (persister && !fromSource) ?
+            persister.load().then(saved => saved || sources.load(room)) :
+            sources.load(room);
+
         console.log("LOAD", room);
-        return readFile(roomValidator.pathToPlanetFromRoom(room, this.staticPath), 'utf8')
+        return source
             .then(function(elementsData) {
                 // load in the data
-                return self._global.setDocumentXml(elementsData);
+                if (stale()) return;
+                return global.setDocumentXml(elementsData);
+            })
+            .then(function() {
+                // the snapshot is out of date now
+                if (fromSource && persister && !stale()) {
+                    persister.save(global.public.document).then(null, () => {});
+                }
             })
             .then(function() {
+                if (stale()) return;
                 console.log(`Done loading ${room} successfully!`);
-                self._global.public.server.emit('ready');
+                global.public.server.emit('ready');
             }, function(rejection) {
                 console.warn(room, "loading failed:", rejection);
+            })
+            .then(function() {
+                // (re-)watch whatever we managed to load, so
+                //  fixing a broken script also triggers a reload
+                if (self._watcher && !stale()) {
+                    self._watcher.watch(sources.files(room).concat(global.sources));
+                }
             });
     }
 
-    static readArgsToString(serializedArgs) {
-        return RpcArguments.read(serializedArgs).map(arg => {
-            if (typeof(arg) === 'string') {
-                // safety first:
-                arg = arg.replace("'", "\\'");
-                return `'${arg}'`;
-            }
-
-            return JSON.stringify(arg);
-        }).join(',');
-    }
-
 }
 
 module.exports = {
+    RpcError,
     RpcHandler,
 
     // exported for testing:
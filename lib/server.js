@@ -1,18 +1,17 @@
 'use strict';
 
 var _ = require('lodash');
-var cheerio = require('cheerio');
-var EventEmitter = require('events');
-var fs = require('fs');
 var path = require('path');
 
 var MinimalClient = require('./client-minimal');
-var roomValidator = require('./room-validator.js');
+var Room = require('./room');
+var FileStore = require('./persistence').FileStore;
+const { RoomSources, instanceRoomId, parseRoomId } = require('./room-source');
 var url = require('url');
+var RpcError = require('./rpc').RpcError;
+var WorldBus = require('./world-bus').WorldBus;
+const { JsonLogStore, Storage } = require('./storage');
 
-const { buildMessage } = require('./util');
-const { RpcHandler } = require('./rpc');
-const { VMDocument, getDocument$ } = require('./dom');
 
 /*
  *  gRPC
@@ -30,13 +29,29 @@ var gbBuilder = protobuf.loadProtoFile(__dirname + '/grpc-bus.proto');
 var gbTree = gbBuilder.build().grpcbus;
 var WebSocketServer = require('ws').Server;
 
-/*
- * Global State
+/**
+ * gRPC status codes for each TerraformError code
  */
-var world;
-var staticPath;
-var coprManagerClient;
-var broadcastPublisher;
+const TERRAFORM_ERROR_STATUS = {
+    'INVALID_INSTRUCTION': grpc.status.INVALID_ARGUMENT,
+    'NOT_TERRAFORMABLE': grpc.status.FAILED_PRECONDITION,
+    'FORBIDDEN': grpc.status.PERMISSION_DENIED,
+    'VETOED': grpc.status.PERMISSION_DENIED,
+    'WRITE_FAILED': grpc.status.INTERNAL
+};
+
+function grpcError(code, message) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function rpcErrorResponse(code, message) {
+    return {
+        'error': code,
+        'message': message
+    };
+}
 
 class InterspaceServer {
 
@@ -48,7 +63,18 @@ class InterspaceServer {
             'localAddress': null,
             'localPort': null,
             'staticPath': null,
-            'roomStateRPCPort': 50052
+            'roomStateRPCPort': 50052,
+            'roomIdleTimeout': 5 * 60 * 1000, // ms with no members before unloading; 0 to disable
+            'watch': false, // reload room scripts when they change on disk
+            'persistence': null, // true, or {store, delay}, to save document changes (of planets, not instances) to `snapshots/`
+            'storage': null, // true, or {store, maxKeys, maxBytes}, to keep `interspace.storage` on disk
+            'rateLimiter': null, // (config, name, shared) => limiter for RPC functions
+            'interestRadius': null, // default range of broadcasts with an origin, or planetId => that
+            'physics': null, // true, or {rate, gravity, floor}, to simulate rigidbodies
+            'tickRate': 20, // room ticks per second
+            'sources': null, // extra sources of rooms, tried before the file system
+            'modules': null, // {libraryPath, builtins} for the scripts' require()
+            'instanceCapacity': null // most clients per room, or planetId => that
         }, options);
 
         if (!options.server || !options.coprAddress || !options.localAddress || !options.localPort || !options.staticPath) {
@@ -62,8 +88,34 @@ class InterspaceServer {
         this.roomStateProxyAddress = 'ws://' + localURL.hostname + ':' + options.localPort;
 
         // Set up World State
-        world = {};
-        staticPath = options.staticPath;
+        this.world = {};
+        this.staticPath = options.staticPath;
+        this.sources = new RoomSources(options.staticPath, options.sources);
+        this.broadcastPublisher = null;
+
+        // pub/sub between the rooms' scripts
+        this.bus = new WorldBus();
+
+        // `interspace.storage`; only kept in memory unless configured
+        var storage = options.storage === true ? {} : options.storage;
+        if (storage && !storage.store) {
+            storage = Object.assign({
+                'store': new JsonLogStore(path.join(options.staticPath, 'storage'))
+            }, storage);
+        }
+        this.storage = new Storage(storage);
+
+        // Set up Persistence
+        this.persistence = null;
+        if (options.persistence) {
+            this.persistence = Object.assign({
+                'store': null,
+                'delay': 1000
+            }, options.persistence === true ? {} : options.persistence);
+            if (!this.persistence.store) {
+                this.persistence.store = new FileStore(options.staticPath);
+            }
+        }
 
         // Initialise COPR Manager gRPC Client
         this.coprManagerClient = new interspace_proto.COPRManager(
@@ -74,14 +126,15 @@ class InterspaceServer {
         // Initialise Room State gRPC Server
         this.roomStateServer = new grpc.Server();
         this.roomStateServer.addService(interspace_proto.RoomState.service, {
-            terraform: terraform,
-            pickup: pickup,
-            rpcCall: rpcCall,
-            broadcastMessage: broadcastMessage,
-            roomStateMessage: roomStateMessage
+            terraform: this._terraform.bind(this),
+            pickup: this._pickup.bind(this),
+            drop: this._drop.bind(this),
+            rpcCall: this._rpcCall.bind(this),
+            broadcastMessage: this._broadcastMessage.bind(this),
+            roomStateMessage: this._roomStateMessage.bind(this)
         });
         this.roomStateServer.bind(
-            '0.0.0.0:' + 50052,
+            '0.0.0.0:' + options.roomStateRPCPort,
             grpc.ServerCredentials.createInsecure()
         );
         this.roomStateServer.start();
@@ -113,195 +166,362 @@ class InterspaceServer {
         });
     }
 
+    /**
+     * Find a COPR server for a client to enter a room through
+     *
+     * If the room is a planet with a capacity, the client is sent to
+     *  the first of its instances with room to spare, starting a new
+     *  one (`planet.iml#2`, ...) when they're all full, and a place is
+     *  held for it there. An explicit instance is never swapped for
+     *  another; if it's full, `cb` gets an error.
+     *
+     * @param cb (err, response, roomId), where `roomId` is the room
+     *  (or instance) the client should join
+     */
     getCOPRServer(room, cb) {
+        var roomId = room;
+        var reservation = null;
+
+        var parsed = this.sources.exists(room) ? parseRoomId(room) : null;
+        if (parsed && isFinite(this.capacityOf(parsed.planetId))) {
+            roomId = parsed.instanceId ? room : this.findInstance(parsed.planetId);
+
+            var instance = this.getRoom(roomId);
+            if (!instance) {
+                this.initialiseWorldState(roomId, function() {});
+                instance = this.getRoom(roomId);
+            }
+            if (instance.full) {
+                cb(new Error('Room is full: ' + roomId), null, roomId);
+                return;
+            }
+            reservation = instance.reserve();
+        }
+
+        var done = (err, response) => {
+            var instance = reservation && this.getRoom(roomId);
+            if (instance) {
+                // hold the place for whoever the COPR server says is coming
+                instance.release(reservation);
+                if (!err && response && response.uuid) instance.reserve(response.uuid);
+            }
+            cb(err, response, roomId);
+        };
+
         try {
             this.coprManagerClient.getServer({
-                    'roomId': room,
+                    'roomId': roomId,
                     'roomStateServerAddress': this.roomStateProxyAddress,
-                    'roomStateRPCPort': this.options.roomStateRPCPort
+                    'roomStateRPCPort': this.options.roomStateRPCPort,
+                    'instanceId': (parsed && parseRoomId(roomId).instanceId) || ''
                 },
-                cb
+                done
             );
         } catch (err) {
             console.log('getCOPRServer: ' + err);
+            done(err, null);
+        }
+    }
+
+    /**
+     * Send a client to another room: find a COPR server for it there,
+     *  then tell the client with a `transfer` message carrying
+     *  {roomId, coprAddress, uuid} to connect with
+     *
+     * @return A Promise resolving to the id of the room (or
+     *  instance) the client is sent to
+     */
+    transferClient(client, roomId) {
+        if (!this.sources.exists(roomId)) {
+            return Promise.reject(new Error('Unknown room: ' + roomId));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.getCOPRServer(roomId, (err, response, targetId) => {
+                if (err || !response) {
+                    reject(err || new Error('No COPR server for ' + targetId));
+                    return;
+                }
+                if (client.room.states[client.uuid] !== client) {
+                    reject(new Error('Client left before it could be transferred'));
+                    return;
+                }
+
+                client.send('transfer', {
+                    'roomId': targetId,
+                    'coprAddress': response.coprAddress,
+                    'uuid': response.uuid
+                });
+                resolve(targetId);
+            });
+        });
+    }
+
+    /**
+     * @return The most clients each instance of the planet
+     *  may hold; Infinity if there's no limit
+     */
+    capacityOf(planetId) {
+        var capacity = this.options.instanceCapacity;
+        if (typeof(capacity) === 'function') capacity = capacity(planetId);
+        return capacity > 0 ? capacity : Infinity;
+    }
+
+    /**
+     * @return The default range of the planet's broadcasts with
+     *  an origin; null if they go to everyone
+     */
+    interestRadiusOf(planetId) {
+        var radius = this.options.interestRadius;
+        if (typeof(radius) === 'function') radius = radius(planetId);
+        return radius > 0 ? radius : null;
+    }
+
+    /**
+     * @return The id of the first instance of the planet with
+     *  room to spare, or of a new one if they're all full
+     */
+    findInstance(planetId) {
+        var instances = this.listInstances(planetId);
+        for (var i = 0; i < instances.length; i++) {
+            if (!this.getRoom(instances[i]).full) return instances[i];
+        }
+
+        if (!this.getRoom(planetId)) return planetId;
+        for (var n = 2; ; n++) {
+            var roomId = instanceRoomId(planetId, String(n));
+            if (!this.getRoom(roomId)) return roomId;
         }
     }
 
     initialiseWorldState(room, cb) {
         // Set up World state if this is the first time the room has been loaded
-        if (!world[room]) {
-            // TODO just make a Room object already
-            var roomEvents = new EventEmitter();
-            world[room] = {
-                id: room,
-                states: {},
-                broadcast: function(msgType, data) {
-                    var message = buildMessage(room, msgType, data);
-
-                    if (!broadcastPublisher) {
-                        console.warn(
-                            'Unitialized broadcastPublisher (message: ' + message + ')'
-                        );
-                        return;
-                    }
-
-                    broadcastPublisher.write({
-                        'roomId': room,
-                        'message': message
-                    });
-                },
-                on: roomEvents.on.bind(roomEvents),
-                emit: roomEvents.emit.bind(roomEvents)
-            };
-            world[room].rpc = new RpcHandler(world[room], staticPath);
+        if (!this.world[room]) {
+            this.world[room] = new Room(this, room);
         }
 
         cb(null);
     }
 
+    /**
+     * @return The loaded Room with the given id, or null
+     */
+    getRoom(id) {
+        return this.world[id] || null;
+    }
+
+    /**
+     * @return The ids of all currently loaded rooms
+     */
+    listRooms() {
+        return Object.keys(this.world);
+    }
+
+    /**
+     * @return The ids of the loaded instances of a planet,
+     *  the planet's own room first
+     */
+    listInstances(planetId) {
+        return this.listRooms()
+            .filter(id => parseRoomId(id).planetId === planetId)
+            .sort((a, b) => {
+                var instanceA = parseRoomId(a).instanceId;
+                var instanceB = parseRoomId(b).instanceId;
+                if (!instanceA || !instanceB) return instanceA ? 1 : -1;
+                return instanceA.localeCompare(instanceB, 'en', { numeric: true });
+            });
+    }
+
+    /**
+     * Tear down a loaded room; it will be re-created from
+     *  scratch the next time it is initialised
+     *
+     * @return True if the room was loaded
+     */
+    unloadRoom(id) {
+        var room = this.world[id];
+        if (!room) return false;
+
+        delete this.world[id];
+        room.unload();
+        return true;
+    }
+
     shutdown() {
-        if (broadcastPublisher) broadcastPublisher.end();
+        this.listRooms().forEach(id => this.unloadRoom(id));
+        if (this.broadcastPublisher) this.broadcastPublisher.end();
     }
-}
 
-/*
- * Room state functions
- */
-function terraform(call, callback) {
-    console.log('Terraform message received');
+    /*
+     * Room state functions
+     */
+    _terraform(call, callback) {
+        var self = this;
+        console.log('Terraform message received');
+
+        var roomId;
+        var instructions = [];
+
+        call.on('data', function(terraformRequest) {
+            if (terraformRequest.roomId) {
+                roomId = terraformRequest.roomId;
+            } else {
+                instructions.push(terraformRequest.instruction);
+            }
+        });
 
-    var roomId;
-    var instructions = [];
+        // All Terraform instructions have been received
+        call.on('end', function() {
+            var room = self.getRoom(roomId);
+            if (!room) {
+                callback(grpcError(grpc.status.NOT_FOUND, 'Unknown room: ' + roomId), null);
+                return;
+            }
 
-    call.on('data', function(terraformRequest) {
-        if (terraformRequest.roomId) {
-            roomId = terraformRequest.roomId;
-        } else {
-            instructions.push(terraformRequest.instruction);
+            room.terrain.apply(instructions).then(function() {
+                callback(null, {});
+            }, function(err) {
+                console.error('Terraform failed: ' + err.message);
+                var status = TERRAFORM_ERROR_STATUS[err.code] || grpc.status.INTERNAL;
+                callback(grpcError(status, err.message), null);
+            });
+        });
+    }
+
+    _pickup(call, callback) {
+        console.log('Pickup message received');
+
+        var roomId = call.request.roomId;
+        var elementId = call.request.elementId;
+        var uuid = call.request.uuid;
+
+        var room = this.getRoom(roomId);
+        if (!room) {
+            callback(grpcError(grpc.status.NOT_FOUND, 'Unknown room: ' + roomId), null);
+            return;
         }
-    });
-
-    // All Terraform instructions have been received
-    call.on('end', function() {
-        callback(null, {});
-
-        fs.readFile(
-            roomValidator.pathToPlanetFromRoom(roomId, staticPath),
-            'utf8',
-            function(err, data) {
-                if (err) {
-                    console.error('Terraform load failed: ' + err);
-                    return;
-                }
-                var doc = new VMDocument(data);
-                var terrain = getDocument$(doc)('terrain');
-                if (terrain && terrain.attr('terraform')) {
-                    // TODO: check if we can edit the terraform file
-                    var lastTerraformFile = terrain.attr('terraform');
-                    var path = __dirname + '/public/' + lastTerraformFile;
-                    fs.appendFile(
-                        path,
-                        '\n' + instructions.join('\n'),
-                        function(err) {
-                            if (err) {
-                                // TODO
-                                console.error('Terraform write failed: ' + err);
-                            }
-                        }
-                    );
-                }
-            }
-        );
-    });
-}
 
-function pickup(call, callback) {
-    console.log('Pickup message received');
+        room.rpc.loaded().then(function() {
+            return room.pickups.pickup(uuid, elementId);
+        }).then(function(response) {
+            callback(null, response);
+        }, function(err) {
+            console.error('Pickup failed: ' + err.message);
+            callback(grpcError(grpc.status.INTERNAL, err.message), null);
+        });
+    }
 
-    var roomId = call.request.roomId;
-    var elementId = call.request.elementId;
-    var uuid = call.request.uuid;
+    _drop(call, callback) {
+        console.log('Drop message received');
 
-    var planetPath = roomValidator.pathToPlanetFromRoom(roomId, staticPath);
-    fs.readFile(planetPath, 'utf8', function(err, data) {
-        if (err) {
-            callback('Unable to read planet at ' + planetPath, null);
+        var room = this.getRoom(call.request.roomId);
+        var dropped = !!room && room.pickups.drop(call.request.uuid, call.request.elementId);
+        callback(null, {
+            'dropped': dropped
+        });
+    }
+
+    _rpcCall(call, callback) {
+        console.log('RPCCall message received');
+
+        var client = {
+            'uuid': call.request.senderUUID
+        };
+        var room = this.getRoom(call.request.roomId);
+        if (!room) {
+            callback(null, rpcErrorResponse('UNKNOWN_ROOM', 'Unknown room: ' + call.request.roomId));
             return;
         }
 
-        var $ = cheerio.load(data, { xmlMode: true });
-        var node = $('#' + elementId);
-        if (
-            node !== null &&
-            node.attr('pickup') !== null &&
-            node.attr('pickup').toLowerCase() == 'true'
-        ) {
-            callback(null, {
-                'validForPickup': true,
-                'x': parseFloat(node.children().first().attr('x')) || 0,
-                'y': parseFloat(node.children().first().attr('y')) || 0,
-                'z': parseFloat(node.children().first().attr('z')) || 0,
-                'rotationX': parseFloat(node.children().first().attr('rotationX')) || 0,
-                'rotation': parseFloat(node.children().first().attr('rotation')) || 0,
-                'rotationZ': parseFloat(node.children().first().attr('rotationZ')) || 0
-            });
-        } else {
+        var args;
+        try {
+            args = JSON.parse(call.request.args);
+        } catch (e) {
+            callback(null, rpcErrorResponse('INVALID_ARGUMENTS', 'Unparseable RPC arguments'));
+            return;
+        }
+
+        room.rpc.invoke(client, args).then(function(result) {
+            try {
+                return JSON.stringify(room.rpc.types.serializeArgs([result]));
+            } catch (e) {
+                throw new RpcError('SCRIPT_ERROR', 'Unable to send result: ' + e.message);
+            }
+        }).then(function(serialized) {
             callback(null, {
-                'validForPickup': false
+                'result': serialized
             });
-        }
-    });
-}
+        }, function(err) {
+            callback(null, rpcErrorResponse(err.code || 'SCRIPT_ERROR', err.message));
+        });
+    }
 
-function rpcCall(call, callback) {
-    console.log('RPCCall message received');
+    _broadcastMessage(call) {
+        console.log('BroadcastMessage initialiser received');
 
-    var client = {
-        'uuid': call.request.senderUUID
-    };
-    var args = JSON.parse(call.request.args);
-    world[call.request.roomId].rpc.invoke(client, args);
+        this.broadcastPublisher = call;
+    }
 
-    callback(null, {});
-}
+    _roomStateMessage(call, callback) {
+        var self = this;
+        console.log('RoomState message received');
 
-function broadcastMessage(call) {
-    console.log('BroadcastMessage initialiser received');
+        call.on('data', function(message) {
+            var roomId = message.roomId;
+            var uuid = message.uuid;
 
-    broadcastPublisher = call;
-}
+            if (message.type === 'join' && !self.getRoom(roomId)) {
+                // first one in; load the room up
+                if (!self.sources.exists(roomId)) {
+                    console.warn('Join for invalid room ' + roomId);
+                    return;
+                }
+                self.initialiseWorldState(roomId, function() {});
+            }
 
-function roomStateMessage(call, callback) {
-    console.log('RoomState message received');
-
-    call.on('data', function(message) {
-        var roomId = message.roomId;
-        var uuid = message.uuid;
-
-        switch (message.type) {
-            case 'join':
-                var client = new MinimalClient(uuid);
-                world[roomId].states[uuid] = client;
-                world[roomId].emit('join', client);
-                break;
-            case 'update':
-                var current = world[roomId].states[uuid];
-                if (!current) break;
-                current.updateState({
-                    'x': message.x,
-                    'y': message.y,
-                    'z': message.z
-                });
-                break;
-            case 'leave':
-                world[roomId].emit('leave');
-                delete world[roomId].states[uuid];
-                break;
-        }
-    });
-    call.on('end', function() {
-        callback(null, {});
-    });
+            var room = self.getRoom(roomId);
+            if (!room) return;
+
+            switch (message.type) {
+                case 'join':
+                    if (!room.canJoin(uuid)) {
+                        console.warn('Join for full room ' + roomId);
+                        break;
+                    }
+                    room.join(new MinimalClient(uuid, room, {
+                        'displayName': message.displayName || null,
+                        'avatar': message.avatar || null
+                    }, {
+                        'acks': !!message.acks
+                    }));
+                    break;
+                case 'update':
+                    var current = room.states[uuid];
+                    if (!current) break;
+                    current.updateState({
+                        'x': message.x,
+                        'y': message.y,
+                        'z': message.z,
+                        'rotationX': message.rotationX,
+                        'rotation': message.rotation,
+                        'rotationZ': message.rotationZ,
+                        'vx': message.vx,
+                        'vy': message.vy,
+                        'vz': message.vz
+                    });
+                    break;
+                case 'leave':
+                    room.leave(uuid);
+                    break;
+                case 'ack':
+                    room.delivery.ack(uuid, message.seq);
+                    break;
+            }
+        });
+        call.on('end', function() {
+            callback(null, {});
+        });
+    }
 }
 
 module.exports = InterspaceServer;
\ No newline at end of file
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Buckets points (eg: client positions) into a uniform
+ *  grid of cubic cells, for quick "who's near here" queries
+ */
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this._cells = new Map(); // cell key -> Set of ids
+        this._points = new Map(); // id -> {x, y, z, key}
+    }
+
+    /**
+     * Add the point with the given id, or move it
+     */
+    update(id, x, y, z) {
+        var key = this._keyFor(x, y, z);
+        var point = this._points.get(id);
+        if (point && point.key !== key) {
+            this._removeFromCell(id, point.key);
+        }
+
+        if (!point || point.key !== key) {
+            var cell = this._cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this._cells.set(key, cell);
+            }
+            cell.add(id);
+        }
+
+        this._points.set(id, { x: x, y: y, z: z, key: key });
+    }
+
+    remove(id) {
+        var point = this._points.get(id);
+        if (!point) return;
+
+        this._removeFromCell(id, point.key);
+        this._points.delete(id);
+    }
+
+    /**
+     * @return The ids of all points within `radius` of `origin`
+     */
+    query(origin, radius) {
+        var size = this.cellSize;
+        var radiusSq = radius * radius;
+        var result = [];
+
+        var minX = Math.floor((origin.x - radius) / size);
+        var maxX = Math.floor((origin.x + radius) / size);
+        var minY = Math.floor((origin.y - radius) / size);
+        var maxY = Math.floor((origin.y + radius) / size);
+        var minZ = Math.floor((origin.z - radius) / size);
+        var maxZ = Math.floor((origin.z + radius) / size);
+
+        var within = (point) => {
+            var dx = point.x - origin.x;
+            var dy = point.y - origin.y;
+            var dz = point.z - origin.z;
+            return dx * dx + dy * dy + dz * dz <= radiusSq;
+        };
+
+        // for huge radii it's cheaper to just check everyone
+        var cellCount = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+        if (cellCount > this._cells.size) {
+            this._points.forEach((point, id) => {
+                if (within(point)) result.push(id);
+            });
+            return result;
+        }
+
+        for (var cx = minX; cx <= maxX; cx++) {
+            for (var cy = minY; cy <= maxY; cy++) {
+                for (var cz = minZ; cz <= maxZ; cz++) {
+                    var cell = this._cells.get(cx + ',' + cy + ',' + cz);
+                    if (!cell) continue;
+
+                    for (let id of cell) {
+                        if (within(this._points.get(id))) result.push(id);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    _keyFor(x, y, z) {
+        var size = this.cellSize;
+        return Math.floor(x / size) + ',' +
+            Math.floor(y / size) + ',' +
+            Math.floor(z / size);
+    }
+
+    _removeFromCell(id, key) {
+        var cell = this._cells.get(key);
+        if (!cell) return;
+
+        cell.delete(id);
+        if (!cell.size) this._cells.delete(key);
+    }
+}
+
+module.exports = SpatialGrid;
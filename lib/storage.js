@@ -0,0 +1,424 @@
+'use strict';
+
+/**
+ * Key-value storage for room scripts
+ *
+ * Scripts get `interspace.storage`, with keys of their own, and
+ *  `interspace.storage.player(client)`, with keys for each player.
+ *  Both have:
+ *  - get(key): Promise resolving to the value, or undefined
+ *  - set(key, value): Promise resolving once it's stored
+ *  - delete(key): Promise resolving to true if the key existed
+ *  - list(prefix): Promise resolving to the keys starting with
+ *      `prefix` (all of them if it's left out), sorted
+ *  - increment(key, by = 1): Promise resolving to the new value;
+ *      missing keys count as 0
+ *
+ * Values are anything JSON can carry, and are copied in and out.
+ *  Every instance of a planet shares the same storage, and its
+ *  quota (see DEFAULTS).
+ *
+ * Storage is kept in memory and every change is written through
+ *  to a store; any object with:
+ *  - load(scope): Promise resolving to a Map of key -> JSON of
+ *      everything stored for `scope` (a planet id)
+ *  - append(scope, changes): Promise resolving once the changes,
+ *      [{key, value}] with the JSON of the value or null for a
+ *      deleted key, are stored
+ */
+
+var fs = require('fs');
+var path = require('path');
+var Promise = require('promise');
+var appendFile = Promise.denodeify(fs.appendFile);
+var mkdir = Promise.denodeify(fs.mkdir);
+var readFile = Promise.denodeify(fs.readFile);
+var rename = Promise.denodeify(fs.rename);
+var writeFile = Promise.denodeify(fs.writeFile);
+
+const DEFAULTS = {
+    maxKeys: 1000, // per planet, including its players' keys
+    maxBytes: 1024 * 1024, // of keys and JSON values, per planet
+    maxKeyLength: 256
+};
+
+/* Logs with fewer lines than this are never compacted */
+const MIN_COMPACT_LINES = 100;
+
+class StorageError extends Error {
+    /**
+     * @param code One of INVALID_KEY, INVALID_VALUE,
+     *  QUOTA_EXCEEDED, WRITE_FAILED
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+    }
+}
+
+/**
+ * Keeps everything in memory; nothing survives a restart.
+ *  Used when the server isn't configured with storage.
+ */
+class MemoryStore {
+    constructor() {
+        this._scopes = new Map(); // scope -> Map of key -> JSON
+    }
+
+    load(scope) {
+        return Promise.resolve(new Map(this._scopes.get(scope)));
+    }
+
+    append(scope, changes) {
+        var entries = this._scopes.get(scope);
+        if (!entries) {
+            entries = new Map();
+            this._scopes.set(scope, entries);
+        }
+
+        changes.forEach(change => {
+            if (change.value === null) {
+                entries.delete(change.key);
+            } else {
+                entries.set(change.key, change.value);
+            }
+        });
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Default store; appends every change to a log file per planet
+ *  in `dir` (by default `storage/` in the static path, out of the
+ *  public directory), one JSON object per line:
+ *
+ *   {"k": "room/score", "v": 10}
+ *   {"k": "room/score"}  <- deleted
+ *
+ * Logs are compacted when loaded, if they've grown to more than
+ *  twice as many lines as there are keys.
+ */
+class JsonLogStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    pathFor(scope) {
+        return path.join(this.dir, encodeURIComponent(scope) + '.jsonl');
+    }
+
+    load(scope) {
+        var filePath = this.pathFor(scope);
+        return readFile(filePath, 'utf8')
+            .then(data => {
+                var entries = new Map();
+                var lines = data.split('\n').filter(line => line.trim());
+                lines.forEach(line => {
+                    var change;
+                    try {
+                        change = JSON.parse(line);
+                    } catch (e) {
+                        // eg: the last line, if we crashed mid-write
+                        console.warn(`Ignoring bad line in ${filePath}`);
+                        return;
+                    }
+
+                    if (!('v' in change)) {
+                        entries.delete(change.k);
+                    } else {
+                        entries.set(change.k, JSON.stringify(change.v));
+                    }
+                });
+
+                if (lines.length < MIN_COMPACT_LINES || lines.length <= entries.size * 2) {
+                    return entries;
+                }
+                return this._compact(filePath, entries).then(() => entries);
+            }, err => {
+                if (err.code === 'ENOENT') return new Map();
+                throw err;
+            });
+    }
+
+    append(scope, changes) {
+        var lines = changes.map(change => change.value === null ?
+            `{"k":${JSON.stringify(change.key)}}` :
+            `{"k":${JSON.stringify(change.key)},"v":${change.value}}`);
+
+        return this._ensureDir()
+            .then(() => appendFile(this.pathFor(scope), lines.join('\n') + '\n'));
+    }
+
+    _compact(filePath, entries) {
+        var lines = [];
+        entries.forEach((value, key) => {
+            lines.push(`{"k":${JSON.stringify(key)},"v":${value}}`);
+        });
+
+        // write next to the log and rename over it, so a
+        //  crash mid-write never loses anything
+        var temp = `${filePath}.${process.pid}.tmp`;
+        return writeFile(temp, lines.length ? lines.join('\n') + '\n' : '')
+            .then(() => rename(temp, filePath));
+    }
+
+    _ensureDir() {
+        return mkdir(this.dir).then(null, err => {
+            if (err.code !== 'EEXIST') throw err;
+        });
+    }
+}
+
+/**
+ * The storage of a single planet
+ */
+class PlanetStorage {
+    /**
+     * @param after (optional) A Promise to wait for before loading,
+     *  eg: the writes of the planet's previous PlanetStorage
+     */
+    constructor(scope, store, options, after) {
+        this.scope = scope;
+        this.store = store;
+        this.options = options;
+
+        this.bytes = 0;
+        this._entries = null; // key -> JSON, once loaded
+        this._writing = Promise.resolve();
+        this._loaded = Promise.resolve(after)
+            .then(() => store.load(scope))
+            .then(entries => {
+                this._entries = entries;
+                entries.forEach((value, key) => {
+                    this.bytes += key.length + value.length;
+                });
+            });
+
+        // don't leave it unhandled until the first call
+        this._loaded.then(null, err => {
+            console.error(`Loading storage for ${scope} failed: ${err}`);
+        });
+    }
+
+    /**
+     * @return The keys of the given namespace
+     */
+    namespace(prefix) {
+        return new StorageNamespace(this, prefix);
+    }
+
+    get(key) {
+        return this._loaded.then(() => {
+            var value = this._entries.get(key);
+            return value === undefined ? undefined : JSON.parse(value);
+        });
+    }
+
+    set(key, value) {
+        // serialized now, in case it changes before we've loaded
+        var json;
+        try {
+            json = _toJson(value);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        return this._loaded.then(() => this._write(key, json));
+    }
+
+    delete(key) {
+        return this._loaded.then(() => {
+            if (!this._entries.has(key)) return false;
+            return this._write(key, null).then(() => true);
+        });
+    }
+
+    list(prefix) {
+        return this._loaded.then(() => {
+            return Array.from(this._entries.keys())
+                .filter(key => key.indexOf(prefix) === 0)
+                .sort();
+        });
+    }
+
+    increment(key, by) {
+        return this._loaded.then(() => {
+            var current = this._entries.has(key) ? JSON.parse(this._entries.get(key)) : 0;
+            if (typeof(current) !== 'number') {
+                throw new StorageError('INVALID_VALUE', `${key} is not a number`);
+            }
+
+            var result = current + by;
+            if (!isFinite(result)) {
+                throw new StorageError('INVALID_VALUE', `${key} would no longer be a finite number`);
+            }
+            return this._write(key, JSON.stringify(result)).then(() => result);
+        });
+    }
+
+    /**
+     * Change the value of `key` in memory right away, and queue
+     *  the change to be stored
+     *
+     * @param value The JSON of the value, or null to delete it
+     */
+    _write(key, value) {
+        var previous = this._entries.get(key);
+        var bytes = this.bytes -
+            (previous === undefined ? 0 : key.length + previous.length) +
+            (value === null ? 0 : key.length + value.length);
+
+        if (value !== null) {
+            if (previous === undefined && this._entries.size >= this.options.maxKeys) {
+                throw new StorageError('QUOTA_EXCEEDED', `${this.scope} can't store more than ${this.options.maxKeys} keys`);
+            }
+            if (bytes > this.options.maxBytes && bytes > this.bytes) {
+                throw new StorageError('QUOTA_EXCEEDED', `${this.scope} can't store more than ${this.options.maxBytes} bytes`);
+            }
+        }
+
+        if (value === null) {
+            this._entries.delete(key);
+        } else {
+            this._entries.set(key, value);
+        }
+        this.bytes = bytes;
+
+        // queue behind any other write so changes land in order
+        var result = this._writing
+            .then(() => this.store.append(this.scope, [{ key: key, value: value }]))
+            .then(null, err => {
+                console.error(`Saving storage for ${this.scope} failed: ${err}`);
+                throw new StorageError('WRITE_FAILED', `Unable to store ${key}: ${err.message}`);
+            });
+        this._writing = result.then(null, () => {});
+        return result;
+    }
+}
+
+/**
+ * @return The JSON of a value to store
+ * @throws StorageError if JSON can't carry it
+ */
+function _toJson(value) {
+    var json;
+    try {
+        json = JSON.stringify(value);
+    } catch (e) {
+        throw new StorageError('INVALID_VALUE', `Unable to store value: ${e.message}`);
+    }
+
+    if (json === undefined) {
+        throw new StorageError('INVALID_VALUE', `Unable to store ${typeof(value)} values`);
+    }
+    return json;
+}
+
+/**
+ * The keys of a PlanetStorage starting with `prefix`; what the
+ *  scripts see as `interspace.storage` (or a player's storage)
+ */
+class StorageNamespace {
+    constructor(storage, prefix) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        return this._call(key, fullKey => this.storage.get(fullKey));
+    }
+
+    set(key, value) {
+        return this._call(key, fullKey => this.storage.set(fullKey, value));
+    }
+
+    delete(key) {
+        return this._call(key, fullKey => this.storage.delete(fullKey));
+    }
+
+    list(prefix) {
+        if (prefix === undefined) prefix = '';
+        if (typeof(prefix) !== 'string') {
+            return Promise.reject(new StorageError('INVALID_KEY', 'Prefixes must be strings'));
+        }
+
+        return this.storage.list(this.prefix + prefix)
+            .then(keys => keys.map(key => key.slice(this.prefix.length)));
+    }
+
+    increment(key, by) {
+        if (by === undefined) by = 1;
+        if (typeof(by) !== 'number' || !isFinite(by)) {
+            return Promise.reject(new StorageError('INVALID_VALUE', 'Increments must be finite numbers'));
+        }
+        return this._call(key, fullKey => this.storage.increment(fullKey, by));
+    }
+
+    _call(key, fn) {
+        var maxKeyLength = this.storage.options.maxKeyLength;
+        if (typeof(key) !== 'string' || !key || key.length > maxKeyLength) {
+            return Promise.reject(new StorageError('INVALID_KEY',
+                `Keys must be strings of 1 to ${maxKeyLength} characters`));
+        }
+
+        return Promise.resolve().then(() => fn(this.prefix + key));
+    }
+}
+
+/**
+ * The storage of every planet on a server; a planet's storage
+ *  is loaded while any of its rooms are
+ */
+class Storage {
+    /**
+     * Options, on top of DEFAULTS:
+     *  - store: the store to use; a MemoryStore if not given
+     */
+    constructor(options) {
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.store = this.options.store || new MemoryStore();
+
+        this._planets = new Map(); // scope -> {storage, users}
+        this._settling = new Map(); // scope -> writes of released storage
+    }
+
+    /**
+     * @return The PlanetStorage for the planet; release it
+     *  again when done with it
+     */
+    acquire(planetId) {
+        var entry = this._planets.get(planetId);
+        if (!entry) {
+            entry = {
+                storage: new PlanetStorage(planetId, this.store, this.options,
+                    this._settling.get(planetId)),
+                users: 0
+            };
+            this._settling.delete(planetId);
+            this._planets.set(planetId, entry);
+        }
+
+        entry.users++;
+        return entry.storage;
+    }
+
+    release(planetId) {
+        var entry = this._planets.get(planetId);
+        if (!entry || --entry.users > 0) return;
+        this._planets.delete(planetId);
+
+        // the next to load the planet's storage waits for these
+        var writes = entry.storage._writing;
+        this._settling.set(planetId, writes);
+        writes.then(() => {
+            if (this._settling.get(planetId) === writes) this._settling.delete(planetId);
+        });
+    }
+}
+
+module.exports = {
+    JsonLogStore,
+    MemoryStore,
+    Storage,
+    StorageError
+};
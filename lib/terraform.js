@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * Terraforming
+ *
+ * Clients stream terraform instructions, one JSON object per
+ *  instruction, e.g.:
+ *
+ *   {"type": "raise", "x": 10, "y": 0, "z": -4, "radius": 2, "strength": 0.5}
+ *
+ * Instructions are validated against SCHEMA, offered to the room's
+ *  scripts as a `terraform` event they can veto, kept in the room's
+ *  live state and appended to the file named by the `terraform`
+ *  attribute of the planet's <terrain>. Once applied, they're sent
+ *  to the room's clients as a `terraform` message,
+ *  `{instructions: [...]}`, and scripts can list them all with
+ *  `interspace.terrain.list()`.
+ *
+ * Instances of a planet (`arena.iml#match-42`) start from its
+ *  terraform file, but keep their own changes in memory; clients
+ *  joining an instance are sent those in a `terraform` message.
+ */
+
+var fs = require('fs');
+var Promise = require('promise');
+var appendFile = Promise.denodeify(fs.appendFile);
+var readFile = Promise.denodeify(fs.readFile);
+
+const { getDocument$ } = require('./dom');
+const { parseRoomId } = require('./room-source');
+
+const TERRAFORM_TYPES = ['raise', 'lower', 'flatten', 'smooth', 'paint'];
+
+/**
+ * Field name -> {type, required, check}
+ */
+const SCHEMA = {
+    type: {
+        type: 'string',
+        required: true,
+        check: val => TERRAFORM_TYPES.indexOf(val) !== -1
+    },
+    x: { type: 'number', required: true },
+    y: { type: 'number', required: true },
+    z: { type: 'number', required: true },
+    radius: {
+        type: 'number',
+        required: true,
+        check: val => val > 0
+    },
+    strength: { type: 'number', required: false },
+    material: { type: 'string', required: false },
+};
+
+class TerraformError extends Error {
+    /**
+     * @param code One of INVALID_INSTRUCTION, NOT_TERRAFORMABLE,
+     *  FORBIDDEN, VETOED, WRITE_FAILED
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'TerraformError';
+        this.code = code;
+    }
+}
+
+/**
+ * Parse and validate a single raw instruction
+ *
+ * @return The instruction object
+ * @throws TerraformError if it's malformed
+ */
+function parseInstruction(raw) {
+    var instruction;
+    try {
+        instruction = JSON.parse(raw);
+    } catch (e) {
+        throw new TerraformError('INVALID_INSTRUCTION', `Unparseable instruction: ${raw}`);
+    }
+
+    if (!instruction || typeof(instruction) !== 'object' || Array.isArray(instruction)) {
+        throw new TerraformError('INVALID_INSTRUCTION', `Instruction must be an object: ${raw}`);
+    }
+
+    Object.keys(instruction).forEach(key => {
+        if (!SCHEMA[key]) {
+            throw new TerraformError('INVALID_INSTRUCTION', `Unknown field \`${key}\` in ${raw}`);
+        }
+    });
+
+    Object.keys(SCHEMA).forEach(key => {
+        var field = SCHEMA[key];
+        var val = instruction[key];
+        if (val === undefined) {
+            if (field.required) {
+                throw new TerraformError('INVALID_INSTRUCTION', `Missing field \`${key}\` in ${raw}`);
+            }
+            return;
+        }
+
+        if (typeof(val) !== field.type ||
+                (field.type === 'number' && !isFinite(val)) ||
+                (field.check && !field.check(val))) {
+            throw new TerraformError('INVALID_INSTRUCTION', `Invalid \`${key}\` in ${raw}`);
+        }
+    });
+
+    return instruction;
+}
+
+/**
+ * Applies terraform instructions to a single room
+ */
+class Terraformer {
+    /**
+     * @param sources The RoomSources the room comes from
+     */
+    constructor(room, sources) {
+        this.room = room;
+        this.sources = sources;
+
+        // every instruction applied so far, oldest first;
+        //  filled from the terraform file on first use
+        this.instructions = null;
+        this._saved = 0; // how many of them are in the file
+        this._loading = null;
+
+        this._writing = Promise.resolve();
+
+        // NOTE: only an instance's own changes aren't in the file
+        //  clients load the terrain from
+        room.on('join', client => {
+            var unsaved = this.instructions ? this.instructions.slice(this._saved) : [];
+            if (!unsaved.length) return;
+            room.sendTo([client.uuid], 'terraform', { instructions: unsaved });
+        });
+    }
+
+    /**
+     * @return A Promise resolving to copies of every instruction
+     *  applied to the room, oldest first, or rejecting with a
+     *  TerraformError
+     */
+    list() {
+        var rpc = this.room.rpc;
+        return rpc.loaded()
+            .then(() => this._loadInstructions(this._resolveTerraformFile(rpc.document)))
+            .then(() => this.instructions.map(instruction => Object.assign({}, instruction)));
+    }
+
+    /**
+     * Validate and apply a batch of raw instructions. Either
+     *  all of them are applied, or none are.
+     *
+     * @return A Promise that resolves once they've been written,
+     *  or rejects with a TerraformError
+     */
+    apply(rawInstructions) {
+        var instructions;
+        try {
+            instructions = rawInstructions.map(parseInstruction);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        var rpc = this.room.rpc;
+        var instance = !!parseRoomId(this.room.id).instanceId;
+        var filePath;
+        return rpc.loaded()
+            .then(() => {
+                filePath = this._resolveTerraformFile(rpc.document);
+                return this._loadInstructions(filePath);
+            })
+            .then(() => {
+                if (!rpc.emitTerraform(instructions)) {
+                    throw new TerraformError('VETOED', 'Terraform rejected by room script');
+                }
+
+                if (instance) return;
+                return this._append(filePath, instructions);
+            })
+            .then(() => {
+                this.instructions = this.instructions.concat(instructions);
+                if (!instance) this._saved = this.instructions.length;
+                this.room.broadcast('terraform', { instructions: instructions });
+            });
+    }
+
+    /**
+     * @return The absolute path of the terraform file named
+     *  by the document's <terrain>
+     * @throws TerraformError if there's none, or it's not
+     *  somewhere we're allowed to write
+     */
+    _resolveTerraformFile(document) {
+        var terrain = document && getDocument$(document)('terrain').first();
+        var fileName = terrain && terrain.attr('terraform');
+        if (!fileName) {
+            throw new TerraformError('NOT_TERRAFORMABLE', `${this.room.id} has no terraform file`);
+        }
+
+        // like scripts, the file is relative to the planet
+        var filePath;
+        try {
+            filePath = this.sources.resolve(this.room.id, fileName);
+        } catch (e) {
+            throw new TerraformError('FORBIDDEN', `Terraform file ${fileName} is not allowed: ${e.message}`);
+        }
+
+        if (!filePath) {
+            throw new TerraformError('NOT_TERRAFORMABLE', `${this.room.id} has nowhere to keep terraform files`);
+        }
+        return filePath;
+    }
+
+    _loadInstructions(filePath) {
+        if (this.instructions) return Promise.resolve();
+
+        // NOTE: shared, so a second load can't replace
+        //  instructions applied since the first
+        if (this._loading) return this._loading;
+        this._loading = readFile(filePath, 'utf8')
+            .then(data => {
+                this.instructions = data.split('\n')
+                    .filter(line => line.trim())
+                    .map(line => {
+                        try {
+                            return parseInstruction(line);
+                        } catch (e) {
+                            console.warn(`Ignoring bad terraform instruction in ${filePath}: ${e.message}`);
+                            return null;
+                        }
+                    })
+                    .filter(instruction => instruction);
+                this._saved = this.instructions.length;
+            }, err => {
+                if (err.code !== 'ENOENT') {
+                    throw new TerraformError('WRITE_FAILED', `Unable to read ${filePath}: ${err.message}`);
+                }
+                this.instructions = [];
+            });
+
+        // try again next time if it failed
+        this._loading.then(null, () => {
+            this._loading = null;
+        });
+        return this._loading;
+    }
+
+    _append(filePath, instructions) {
+        var lines = instructions.map(instruction => JSON.stringify(instruction));
+
+        // queue behind any other batch so they don't interleave
+        var result = this._writing.then(() => appendFile(filePath, lines.join('\n') + '\n'))
+            .then(null, err => {
+                throw new TerraformError('WRITE_FAILED', `Unable to write ${filePath}: ${err.message}`);
+            });
+        this._writing = result.then(null, () => {});
+        return result;
+    }
+}
+
+module.exports = {
+    SCHEMA,
+    Terraformer,
+    TerraformError,
+    parseInstruction
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+var EventEmitter = require('events');
+
+/* Weight of the latest tick in the average duration */
+const AVERAGE_WEIGHT = 0.1;
+
+/**
+ * Fixed-rate loop driving a room's simulation
+ *
+ * Events:
+ *  - tick(dt): emitted `rate` times a second while running;
+ *      `dt` is the seconds since the previous tick
+ */
+class TickLoop extends EventEmitter {
+    /**
+     * @param rate Ticks per second
+     */
+    constructor(rate) {
+        super();
+        this.rate = rate;
+        this.interval = 1000 / rate;
+
+        this.metrics = {
+            ticks: 0,
+            lastDuration: 0, // ms the last tick took to run
+            averageDuration: 0, // moving average of the above
+            maxDuration: 0,
+            overruns: 0 // ticks that took longer than the interval
+        };
+
+        this._timer = null;
+        this._last = 0;
+    }
+
+    get running() {
+        return !!this._timer;
+    }
+
+    start() {
+        if (this._timer) return;
+
+        this._last = Date.now();
+        this._timer = setInterval(() => this.tick(), this.interval);
+
+        // the loop alone shouldn't keep the process alive
+        this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Run a single tick right away
+     */
+    tick() {
+        var start = Date.now();
+        var dt = (start - this._last) / 1000;
+        this._last = start;
+
+        try {
+            this.emit('tick', dt);
+        } catch (e) {
+            console.error('ERROR in tick:');
+            console.error(e.stack);
+        }
+
+        var duration = Date.now() - start;
+        var metrics = this.metrics;
+        metrics.ticks++;
+        metrics.lastDuration = duration;
+        metrics.averageDuration = metrics.ticks === 1 ? duration :
+            metrics.averageDuration + AVERAGE_WEIGHT * (duration - metrics.averageDuration);
+        metrics.maxDuration = Math.max(metrics.maxDuration, duration);
+        if (duration > this.interval) metrics.overruns++;
+    }
+}
+
+module.exports = TickLoop;
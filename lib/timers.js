@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Timer functions handed to room scripts
+ *
+ * Timers are owned by the room and run off its tick loop rather
+ *  than Node's own timers: they fire on the first tick at or after
+ *  they're due (so never more often than the tick rate), stop while
+ *  the room is paused, and can all be listed or cancelled at once.
+ *
+ * Time here is room time: the milliseconds the room has spent
+ *  ticking, which doesn't advance while it's paused.
+ */
+class RoomTimers {
+    constructor() {
+        this.now = 0;
+
+        this._nextId = 1;
+        this._timers = new Map(); // id -> {fn, args, delay, due, repeat}
+
+        // NOTE: bound so they can be handed to the VM as plain functions
+        this.setTimeout = this.setTimeout.bind(this);
+        this.clearTimeout = this.clearTimeout.bind(this);
+        this.setInterval = this.setInterval.bind(this);
+        this.clearInterval = this.clearInterval.bind(this);
+    }
+
+    setTimeout(fn, delay) {
+        return this._schedule(fn, delay, Array.from(arguments).slice(2), false);
+    }
+
+    clearTimeout(handle) {
+        this._timers.delete(handle);
+    }
+
+    setInterval(fn, delay) {
+        return this._schedule(fn, delay, Array.from(arguments).slice(2), true);
+    }
+
+    clearInterval(handle) {
+        this._timers.delete(handle);
+    }
+
+    /**
+     * @return The number of timers still pending
+     */
+    get pending() {
+        return this._timers.size;
+    }
+
+    /**
+     * @return A description of every pending timer, as
+     *  {id, interval, delay, remaining}, soonest first
+     */
+    list() {
+        var timers = [];
+        this._timers.forEach((timer, id) => {
+            timers.push({
+                id: id,
+                interval: timer.repeat,
+                delay: timer.delay,
+                remaining: Math.max(0, timer.due - this.now)
+            });
+        });
+        return timers.sort((a, b) => a.remaining - b.remaining);
+    }
+
+    /**
+     * Move room time forward by `elapsed` ms, running
+     *  every timer that's come due
+     */
+    advance(elapsed) {
+        this.now += elapsed;
+
+        var due = [];
+        this._timers.forEach((timer, id) => {
+            if (timer.due <= this.now) due.push(id);
+        });
+        due.sort((a, b) => this._timers.get(a).due - this._timers.get(b).due || a - b);
+
+        due.forEach(id => {
+            var timer = this._timers.get(id);
+            if (!timer) return; // cleared by an earlier one
+
+            if (timer.repeat) {
+                // skip any runs we've missed rather than bunching them up
+                timer.due = Math.max(timer.due + timer.delay, this.now + 1);
+            } else {
+                this._timers.delete(id);
+            }
+
+            try {
+                timer.fn.apply(null, timer.args);
+            } catch (e) {
+                console.error('ERROR in timer:');
+                console.error(e.stack || e);
+            }
+        });
+    }
+
+    /**
+     * Cancel every pending timer
+     */
+    clear() {
+        this._timers.clear();
+    }
+
+    _schedule(fn, delay, args, repeat) {
+        if (typeof(fn) !== 'function') {
+            throw new TypeError('Timer callback must be a function');
+        }
+
+        delay = Math.max(0, Number(delay) || 0);
+        var id = this._nextId++;
+        this._timers.set(id, {
+            fn: fn,
+            args: args,
+            delay: delay,
+            due: this.now + delay,
+            repeat: repeat
+        });
+        return id;
+    }
+}
+
+module.exports = RoomTimers;
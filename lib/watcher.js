@@ -0,0 +1,67 @@
+'use strict';
+
+var fs = require('fs');
+
+/**
+ * Watches a set of files and calls back (debounced) when
+ *  any of them changes, with the paths of those that did
+ */
+class FileWatcher {
+    constructor(onChange, delay = 100) {
+        this._onChange = onChange;
+        this._delay = delay;
+        this._watchers = [];
+        this._timer = null;
+        this._changedPaths = new Set();
+    }
+
+    /**
+     * Replace the set of watched files with `paths`
+     */
+    watch(paths) {
+        this.close();
+
+        paths.forEach(filePath => {
+            try {
+                var watcher = fs.watch(filePath, { persistent: false }, () => {
+                    this._changed(filePath);
+                });
+                watcher.on('error', err => {
+                    console.warn(`Watching ${filePath} failed: ${err}`);
+                });
+                this._watchers.push(watcher);
+            } catch (e) {
+                console.warn(`Unable to watch ${filePath}: ${e}`);
+            }
+        });
+    }
+
+    /**
+     * Stop watching everything
+     */
+    close() {
+        this._watchers.forEach(watcher => watcher.close());
+        this._watchers = [];
+
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._changedPaths.clear();
+    }
+
+    _changed(filePath) {
+        this._changedPaths.add(filePath);
+
+        // editors tend to write files in several steps
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            var changed = Array.from(this._changedPaths);
+            this._changedPaths.clear();
+            this._onChange(changed);
+        }, this._delay);
+    }
+}
+
+module.exports = FileWatcher;
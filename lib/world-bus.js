@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * World-wide pub/sub between the rooms of a server
+ *
+ * Room scripts use it through `interspace.world`:
+ *
+ *   interspace.world.subscribe('match-started', (data, info) => ...);
+ *   interspace.world.publish('match-started', {arena: 'red'});
+ *
+ * Payloads are serialized with RpcArguments when published, so
+ *  rooms never share objects, and only the module-wide types make
+ *  it across. Each room gets them on its next tick, in the order
+ *  they were published.
+ */
+
+const { RpcArguments } = require('./rpc-types');
+
+/* Longest topic name, in characters */
+const MAX_TOPIC_LENGTH = 256;
+
+function _checkTopic(topic) {
+    if (typeof(topic) !== 'string' || !topic || topic.length > MAX_TOPIC_LENGTH) {
+        throw new TypeError(`Topics must be strings of 1 to ${MAX_TOPIC_LENGTH} characters`);
+    }
+}
+
+/**
+ * The bus itself; one per server. Listeners get each message
+ *  as {topic, from, payload}, where `from` is the id of the
+ *  publishing room (null if published by the host) and
+ *  `payload` the serialized data.
+ */
+class WorldBus {
+    constructor() {
+        this._listeners = new Map(); // topic -> Set of listeners
+    }
+
+    /**
+     * @return A function that removes the listener again
+     */
+    subscribe(topic, listener) {
+        _checkTopic(topic);
+
+        var listeners = this._listeners.get(topic);
+        if (!listeners) {
+            listeners = new Set();
+            this._listeners.set(topic, listeners);
+        }
+        listeners.add(listener);
+        return () => this.unsubscribe(topic, listener);
+    }
+
+    unsubscribe(topic, listener) {
+        var listeners = this._listeners.get(topic);
+        if (!listeners) return;
+
+        listeners.delete(listener);
+        if (!listeners.size) this._listeners.delete(topic);
+    }
+
+    /**
+     * Send `data` to everyone subscribed to `topic`
+     *
+     * @param from The id of the publishing room, if any
+     * @throws RpcTypeError if `data` can't be serialized
+     */
+    publish(topic, data, from) {
+        _checkTopic(topic);
+
+        var message = {
+            topic: topic,
+            from: from || null,
+            payload: RpcArguments.serialize([data])
+        };
+
+        var listeners = this._listeners.get(topic);
+        if (!listeners) return;
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(message);
+            } catch (e) {
+                console.error(`ERROR delivering ${topic}:`);
+                console.error(e.stack);
+            }
+        });
+    }
+}
+
+/**
+ * A room's view of the bus, handed to its scripts. Keeps track
+ *  of the room's subscriptions so they go away with its scripts,
+ *  and holds on to messages until the room's next tick.
+ */
+class RoomWorldChannel {
+    constructor(bus, room) {
+        this.bus = bus;
+        this.room = room;
+
+        this._unsubscribers = new Set();
+        this._inbox = []; // {message, fn, remove}, waiting for the next tick
+        this._disposed = false;
+    }
+
+    publish(topic, data) {
+        if (this._disposed) return;
+        this.bus.publish(topic, data, this.room.id);
+    }
+
+    /**
+     * Call `fn(data, {topic, from})` for every message
+     *  published to `topic`
+     *
+     * @return A function that unsubscribes again
+     */
+    subscribe(topic, fn) {
+        if (typeof(fn) !== 'function') {
+            throw new TypeError('Subscribers must be functions');
+        }
+        if (this._disposed) return () => {};
+
+        var unsubscribe = this.bus.subscribe(topic, message => {
+            this._inbox.push({
+                message: message,
+                fn: fn,
+                remove: remove
+            });
+        });
+
+        var remove = () => {
+            if (!this._unsubscribers.delete(remove)) return;
+            unsubscribe();
+            this._inbox = this._inbox.filter(queued => queued.remove !== remove);
+        };
+        this._unsubscribers.add(remove);
+        return remove;
+    }
+
+    /**
+     * Hand everything that's arrived to the subscribers
+     */
+    deliver() {
+        var inbox = this._inbox;
+        this._inbox = [];
+
+        inbox.forEach(queued => {
+            var message = queued.message;
+            var data;
+            try {
+                data = RpcArguments.read(message.payload)[0];
+            } catch (e) {
+                console.error(`Dropping malformed ${message.topic} message for ${this.room.id}: ${e.message}`);
+                return;
+            }
+
+            try {
+                queued.fn(data, {
+                    topic: message.topic,
+                    from: message.from
+                });
+            } catch (e) {
+                console.error(`ERROR in ${message.topic} subscriber for ${this.room.id}:`);
+                console.error(e.stack);
+            }
+        });
+    }
+
+    dispose() {
+        this._disposed = true;
+        Array.from(this._unsubscribers).forEach(remove => remove());
+        this._inbox = [];
+    }
+}
+
+module.exports = {
+    RoomWorldChannel,
+    WorldBus
+};
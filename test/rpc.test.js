@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const { test } = require('node:test');
+
+const RoomTimers = require('../lib/timers');
+const { RpcHandler } = require('../lib/rpc');
+
+// hands every call straight back, so we can see what arrived
+const PLANET = `<planet><script>
+    server.open('echo', function() {
+        return {
+            args: Array.from(arguments),
+            sender: this.sender && this.sender.id
+        };
+    });
+    server.open('pwned', function() {
+        return typeof(globalThis.PWNED) !== 'undefined';
+    });
+    server.open('bytes', function() {
+        var buffer = new Uint8Array([1, 2, 3, 4]).buffer;
+        return [buffer, new DataView(buffer, 1, 2)];
+    });
+</script></planet>`;
+
+function createRoom() {
+    var room = new EventEmitter();
+    room.id = '/test.iml';
+    room.states = {};
+    room.timers = new RoomTimers();
+    room.storage = null;
+    room.physics = null;
+    return room;
+}
+
+function createHandler(room) {
+    var sources = {
+        load: () => Promise.resolve(PLANET),
+        resolve: () => null,
+        readFile: () => Promise.reject(new Error('no files')),
+        files: () => []
+    };
+    return new RpcHandler(room, sources, {});
+}
+
+function join(room, uuid) {
+    var client = new EventEmitter();
+    client.uuid = uuid;
+    client.metadata = {};
+    client.state = {};
+    client.data = {};
+    room.states[uuid] = client;
+    return client;
+}
+
+function echo(handler, sender, args) {
+    return handler.invoke(sender, {
+        on: 'server',
+        fn: 'echo',
+        args: handler.types.serializeArgs(args)
+    });
+}
+
+const HOSTILE_STRINGS = [
+    "'); globalThis.PWNED = true; ('",
+    '"); globalThis.PWNED = true; ("',
+    '\\\'); globalThis.PWNED = true; //',
+    'line one\nline two\r\n  ',
+    '`${globalThis.PWNED = true}`',
+    '\\',
+    '</script>'
+];
+
+/**
+ * Run `fn(handler, room)` against a freshly loaded handler
+ */
+function withHandler(fn) {
+    var room = createRoom();
+    var handler = createHandler(room);
+    return handler.loaded()
+        .then(() => fn(handler, room))
+        .then(() => handler.dispose(), err => {
+            handler.dispose();
+            throw err;
+        });
+}
+
+function assertNotPwned(handler, sender) {
+    return handler.invoke(sender, { on: 'server', fn: 'pwned', args: null })
+        .then(pwned => assert.strictEqual(pwned, false));
+}
+
+test('hostile strings arrive as plain values', () => withHandler((handler, room) => {
+    var sender = join(room, 'player');
+
+    return echo(handler, sender, HOSTILE_STRINGS)
+        .then(result => assert.deepStrictEqual(result.args, HOSTILE_STRINGS))
+        .then(() => assertNotPwned(handler, sender));
+}));
+
+test('__proto__ keys stay plain keys', () => withHandler((handler, room) => {
+    var sender = join(room, 'player');
+
+    return handler.invoke(sender, {
+        on: 'server',
+        fn: 'echo',
+        args: [['o', ['__proto__', 'constructor'], [['o', ['polluted'], [true]], 'x']]]
+    }).then(result => {
+        var arg = result.args[0];
+        var proto = Object.getOwnPropertyDescriptor(arg, '__proto__');
+        assert.ok(proto, '__proto__ should be an own key');
+        assert.strictEqual(proto.value.polluted, true);
+        assert.strictEqual(arg.constructor, 'x');
+        assert.strictEqual(arg.polluted, undefined);
+        assert.strictEqual(({}).polluted, undefined);
+    });
+}));
+
+test('a crafted sender uuid is only ever a value', () => withHandler((handler, room) => {
+    var uuid = "'); globalThis.PWNED = true; ('\n\\";
+    var sender = join(room, uuid);
+
+    return echo(handler, sender, ['hi'])
+        .then(result => {
+            assert.strictEqual(result.sender, uuid);
+            assert.deepStrictEqual(result.args, ['hi']);
+        })
+        .then(() => assertNotPwned(handler, sender));
+}));
+
+test('malformed arguments are rejected, not run', () => withHandler((handler, room) => {
+    var sender = join(room, 'player');
+    var invalid = err => err.code === 'INVALID_ARGUMENTS';
+
+    return assert.rejects(handler.invoke(sender, {
+            on: 'server',
+            fn: 'echo',
+            args: [{ raw: 'object' }]
+        }), invalid)
+        .then(() => assert.rejects(handler.invoke(sender, {
+            on: 'server',
+            fn: 'echo',
+            args: 'globalThis.PWNED = true'
+        }), invalid))
+        .then(() => assertNotPwned(handler, sender));
+}));
+
+test('calls that aren\'t objects are rejected, not thrown', () => withHandler((handler, room) => {
+    var sender = join(room, 'player');
+    var invalid = err => err.code === 'INVALID_ARGUMENTS';
+
+    return [null, 'null', 42, ['server', 'echo']].reduce((previous, args) => {
+        return previous.then(() => assert.rejects(handler.invoke(sender, args), invalid));
+    }, Promise.resolve());
+}));
+
+test('calls from clients that aren\'t in the room are dropped', () => withHandler(handler => {
+    var ghost = { uuid: 'ghost' };
+
+    return assert.rejects(echo(handler, ghost, ['hi']), err => err.code === 'UNKNOWN_SENDER')
+        .then(() => {
+            var limiter = handler._global.registeredFunction('server', 'echo').limiter;
+            assert.strictEqual(limiter.clients.size, 0);
+        });
+}));
+
+test('binary values arrive with their bytes', () => withHandler((handler, room) => {
+    var sender = join(room, 'player');
+    var buffer = new Uint8Array([1, 2, 3, 4]).buffer;
+    var bytes = value => Array.from(new Uint8Array(value.buffer || value));
+
+    return echo(handler, sender, [buffer, new DataView(buffer, 1, 2)])
+        .then(result => {
+            var args = handler.types.readArgs(handler.types.serializeArgs(result.args));
+            assert.ok(args[0] instanceof ArrayBuffer);
+            assert.deepStrictEqual(bytes(args[0]), [1, 2, 3, 4]);
+            assert.ok(args[1] instanceof DataView);
+            assert.deepStrictEqual(bytes(args[1]), [2, 3]);
+        })
+        .then(() => handler.invoke(sender, { on: 'server', fn: 'bytes', args: null }))
+        .then(result => {
+            // the script's own buffer is out of reach, but not its views
+            assert.throws(() => handler.types.serializeArgs(result[0]), /ArrayBuffers made by scripts/);
+            var view = handler.types.readArgs(handler.types.serializeArgs(result[1]))[0];
+            assert.deepStrictEqual(bytes(view), [2, 3]);
+        });
+}));